@@ -1,158 +1,106 @@
 // Tower Defense Game - Complete Implementation with Audio System
 // Architectural design implements state synchronization and audio processing pipeline
+// Game rules live in simulation.js; this layer renders, plays audio and drives the DOM
 
-// Core game state architecture with balanced resource allocation and wave tracking
+// Simulation core bindings
+const {
+  tickDuration,
+  towerTypes,
+  targetingModes,
+  damageTypes,
+  statusEffects,
+  playerAbilities,
+  enemyTypes,
+  difficultyModes,
+  builtInMaps,
+  defaultMap,
+  normalizeMap,
+  resolveDifficulty,
+  createRandomGenerator,
+  generateSeed,
+  parseSeed,
+  createSimulation
+} = TowerDefenseSimulation;
+
+// Presentation and session state; run state lives in `simulation.state`
 const gameState = {
-  money: 75,                // Calibrated initial capital for strategic depth
-  lives: 1,                 // Single-breach failure condition
-  wave: 1,
   isPlaying: false,
   selectedTower: null,
-  towers: [],
-  enemies: [],
-  projectiles: [],
-  gridSize: 40,
-  waveTimeout: null,
-  enemySpawnInterval: null,
+  selectedPlacedTower: null, // Structure currently open in the info panel
+  selectedAbility: null,    // Targeted ability awaiting a map click
+  gameSpeed: 1,             // Fast-forward multiplier applied to the simulation clock
+  effectsRng: null,         // Audio variation stream kept apart from gameplay rolls
+  lastSeed: null,           // Seed of the most recent run, offered again in the menu
+  paused: false,
   mouseX: 0,
   mouseY: 0,
   gameScreen: 'mainMenu',   // Interface state machine
   effects: [],
-  preparationPhase: true,
-  preparationTime: 5,       // Streamlined preparation window
-  preparationTimer: 5,
-  difficultyFactor: 1.0,    // Dynamic scaling coefficient
-  waveCompleted: false,
-  unlockedTowers: ['basic'], // Progressive technology unlock system
-  waveStarted: false        // Critical state tracking for progression synchronization
+  autosavePending: false,
+  difficultyMode: 'normal', // Mode picked on the map selection screen
+  customDifficulty: {},     // Player-entered overrides for the Custom mode
+  runPerks: {},             // Research perk levels the current run was built with
+  testPlay: false,          // Map editor trial run, kept out of records and research
+  playTime: 0               // Real milliseconds the current run has spent unpaused
 };
 
-// Advanced tower classification system with capability metrics
-const towerTypes = {
-  basic: {
-    name: 'Basic Tower',
-    cost: 25,
-    damage: 10,
-    range: 120,
-    fireRate: 1,
-    color: '#4299e1',
-    projectileColor: '#63b3ed',
-    projectileSize: 4,
-    barrelLength: 10,
-    unlockWave: 1,
-    description: 'Balanced defense with moderate rate of fire'
-  },
-  cannon: {
-    name: 'Cannon Tower',
-    cost: 60,
-    damage: 30,
-    range: 100,
-    fireRate: 0.5,
-    color: '#ed8936',
-    projectileColor: '#f6ad55',
-    projectileSize: 6,
-    barrelLength: 14,
-    unlockWave: 2,
-    description: 'High damage but slow rate of fire'
-  },
-  magic: {
-    name: 'Magic Tower',
-    cost: 100,
-    damage: 15,
-    range: 150,
-    fireRate: 1.5,
-    color: '#9f7aea',
-    projectileColor: '#d6bcfa',
-    projectileSize: 5,
-    barrelLength: 8,
-    unlockWave: 3,
-    description: 'Fast-firing magical projectiles'
-  },
-  sniper: {
-    name: 'Sniper Tower',
-    cost: 150,
-    damage: 80,
-    range: 250,           // Extended engagement envelope
-    fireRate: 0.25,       // Precision timing model
-    color: '#48bb78',
-    projectileColor: '#c6f6d5',
-    projectileSize: 3,
-    barrelLength: 18,
-    unlockWave: 5,
-    description: 'Extreme range and damage with laser targeting',
-    special: {
-      type: 'critical',
-      criticalChance: 0.2,    // Probabilistic damage amplification
-      criticalMultiplier: 2.5
-    }
-  },
-  bomber: {
-    name: 'Bomber Tower',
-    cost: 200,
-    damage: 50,
-    range: 180,
-    fireRate: 0.3,
-    color: '#f56565',
-    projectileColor: '#fed7d7',
-    projectileSize: 8,
-    barrelLength: 12,
-    unlockWave: 7,
-    description: 'Area damage explosions affecting multiple enemies',
-    special: {
-      type: 'explosion',
-      radius: 60,          // Area of effect parameter
-      falloff: 0.5         // Damage attenuation coefficient
-    }
+// Active rules engine instance
+let simulation = null;
+
+// Fixed-step simulation clock converting frame time into simulation ticks
+const simulationClock = {
+  tickDuration,
+  maxTicksPerFrame: 12,   // Stall protection for long frames
+  accumulator: 0,
+  lastFrameTime: null,
+  lastDelta: 0,           // Real milliseconds covered by the latest frame
+  
+  // Convert elapsed real time into a whole number of simulation ticks
+  advance(timestamp, speed) {
+    const delta = this.lastFrameTime === null ? 0 : Math.min(timestamp - this.lastFrameTime, 100);
+    this.lastFrameTime = timestamp;
+    this.lastDelta = delta;
+    
+    this.accumulator = Math.min(
+      this.accumulator + delta * speed,
+      this.tickDuration * this.maxTicksPerFrame
+    );
+    
+    const ticks = Math.floor(this.accumulator / this.tickDuration);
+    this.accumulator -= ticks * this.tickDuration;
+    return ticks;
+  },
+  
+  reset() {
+    this.accumulator = 0;
   }
 };
 
-// Enemy classification with progressive resistances
-const enemyTypes = {
-  basic: {
-    health: 40,
-    speed: 1,
-    reward: 10,
-    color: '#f56565',
-    size: 20,
-    outlineColor: '#c53030'
-  },
-  fast: {
-    health: 25,
-    speed: 2,
-    reward: 15,
-    color: '#ecc94b',
-    size: 15,
-    outlineColor: '#b7791f'
-  },
-  strong: {
-    health: 100,
-    speed: 0.7,
-    reward: 20,
-    color: '#805ad5',
-    size: 25,
-    outlineColor: '#553c9a'
-  },
-  boss: {
-    health: 300,
-    speed: 0.5,
-    reward: 50,
-    color: '#e53e3e',
-    size: 35,
-    outlineColor: '#9b2c2c'
-  }
+// Selectable fast-forward multipliers
+const gameSpeeds = [1, 2, 3];
+
+// Ability bar hotkeys in bar order, and each ability's preview and effect color
+const abilityKeys = ['1', '2', '3', '4'];
+const abilityStyles = {
+  airstrike: { color: '#f56565' },
+  freeze: { color: '#90cdf4' },
+  overdrive: { color: '#f6ad55' },
+  goldRush: { color: '#f6e05e' }
+};
+
+// Status effect presentation: body tint, badge glyph and particle color
+const statusEffectStyles = {
+  slow: { tint: 'rgba(144, 205, 244, 0.5)', icon: '❄', color: '#bee3f8' },
+  burn: { tint: 'rgba(237, 137, 54, 0.45)', icon: '♨', color: '#f6ad55' },
+  poison: { tint: 'rgba(72, 187, 120, 0.45)', icon: '☠', color: '#9ae6b4' },
+  stun: { tint: 'rgba(246, 224, 94, 0.35)', icon: '✦', color: '#faf089' },
+  haste: { tint: 'rgba(245, 101, 101, 0.3)', icon: '»', color: '#feb2b2' }
 };
 
-// Spatial navigation network
-const path = [
-  { x: 0, y: 120 },
-  { x: 200, y: 120 },
-  { x: 200, y: 280 },
-  { x: 400, y: 280 },
-  { x: 400, y: 120 },
-  { x: 600, y: 120 },
-  { x: 600, y: 400 },
-  { x: 800, y: 400 }
-];
+// Audio variation stream derived from the run seed
+function seedEffectsRandom(seed) {
+  gameState.effectsRng = createRandomGenerator(seed ^ 0x9E3779B9);
+}
 
 // Audio processing system with resource management and spatial distribution
 const audioSystem = {
@@ -281,7 +229,8 @@ const audioSystem = {
       
       // Apply optional rate/pitch variation for natural sound
       if (options.rateVariation) {
-        const variation = (Math.random() * options.rateVariation) - (options.rateVariation / 2);
+        const random = gameState.effectsRng ? gameState.effectsRng.next() : Math.random();
+        const variation = (random * options.rateVariation) - (options.rateVariation / 2);
         source.playbackRate.value = 1 + variation;
       }
       
@@ -451,486 +400,3631 @@ const audioSystem = {
   }
 };
 
-// Initialize rendering context
-const canvas = document.getElementById('game-canvas');
-const ctx = canvas.getContext('2d');
-canvas.width = 800;
-canvas.height = 600;
-
-// Interface component registry with direct references
-const uiElements = {
-  moneyElement: document.getElementById('money'),
-  waveElement: document.getElementById('wave-number'),
-  livesElement: document.getElementById('lives-count'),
-  startButton: document.getElementById('start-button'),
-  startScreen: document.getElementById('start-screen'),
-  basicTowerButton: document.getElementById('basic-tower'),
-  cannonTowerButton: document.getElementById('cannon-tower'),
-  magicTowerButton: document.getElementById('magic-tower'),
-  uiContainer: document.getElementById('ui-container'),
-  gameContainer: document.getElementById('game-container')
-};
-
-// DOM recovery and reconstruction system
-function repairGameInterface() {
-  // Verify UI container exists
-  let uiContainer = document.getElementById('ui-container');
-  if (!uiContainer) {
-    uiContainer = document.createElement('div');
-    uiContainer.id = 'ui-container';
-    document.getElementById('game-container').appendChild(uiContainer);
-  }
-  
-  // Clear existing UI to prevent element duplication
-  uiContainer.innerHTML = '';
-  
-  // Construct status indicators for resource metrics
-  const statusBar = document.createElement('div');
-  statusBar.className = 'status-bar';
-  statusBar.innerHTML = `
-    <div id="resources">Money: <span id="money">75</span></div>
-    <div id="wave">Wave: <span id="wave-number">1</span></div>
-    <div id="lives">Lives: <span id="lives-count">1</span></div>
-  `;
+// Run persistence system with versioned snapshots
+const saveSystem = {
+  storageKey: 'towerDefenseSave',
+  version: 2, // Increment when tower, enemy or state formats change incompatibly
   
-  // Construct tower selection interface with composite layout
-  const towerSelectionContainer = document.createElement('div');
-  towerSelectionContainer.id = 'tower-selection-container';
+  // Snapshot serialization of the active run
+  save() {
+    if (!gameState.isPlaying || !simulation || simulation.state.isOver) return false;
+    if (replaySystem.isPlayback()) return false;
+    
+    const snapshot = {
+      version: this.version,
+      savedAt: Date.now(),
+      effectsRngState: gameState.effectsRng.state,
+      replayCommands: replaySystem.mode === 'recording' ? replaySystem.replay.commands : undefined,
+      perks: gameState.runPerks,
+      testPlay: gameState.testPlay,
+      playTime: gameState.playTime,
+      ...simulation.serialize()
+    };
+    
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(snapshot));
+      return true;
+    } catch (error) {
+      console.error("Error saving game:", error);
+      return false;
+    }
+  },
   
-  const towerSelection = document.createElement('div');
-  towerSelection.id = 'tower-selection';
+  // Snapshot retrieval with version validation
+  load() {
+    try {
+      const data = localStorage.getItem(this.storageKey);
+      if (!data) return null;
+      
+      const snapshot = JSON.parse(data);
+      if (snapshot.version !== this.version) {
+        console.warn(`Discarding incompatible save (version ${snapshot.version}, expected ${this.version})`);
+        this.clear();
+        return null;
+      }
+      
+      return snapshot;
+    } catch (error) {
+      console.error("Error loading game:", error);
+      return null;
+    }
+  },
   
-  // Generate tower selection matrix
-  Object.entries(towerTypes).forEach(([type, data]) => {
-    const towerButton = document.createElement('button');
-    towerButton.id = `${type}-tower`;
-    towerButton.className = 'tower-button';
-    towerButton.dataset.type = type;
-    towerButton.dataset.unlockWave = data.unlockWave;
-    towerButton.innerHTML = `
-      <div class="tower-icon" style="background-color: ${data.color}"></div>
-      <div class="tower-info">
-        <div class="tower-name">${data.name}</div>
-        <div class="tower-cost">$${data.cost}</div>
-      </div>
-    `;
-    towerButton.addEventListener('click', () => selectTower(type));
-    towerSelection.appendChild(towerButton);
-  });
+  hasSave() {
+    return this.load() !== null;
+  },
   
-  // Tower information panel
-  const towerDescription = document.createElement('div');
-  towerDescription.id = 'tower-description';
-  towerDescription.textContent = 'Select a tower to see its description';
+  clear() {
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      console.error("Error clearing save:", error);
+    }
+  }
+};
+
+// Local high-score table and lifetime statistics across finished runs
+const recordsSystem = {
+  storageKey: 'towerDefenseRecords',
+  version: 1,       // Increment when the records format changes incompatibly
+  maxHighScores: 10,
   
-  // Assemble tower selection component
-  towerSelectionContainer.appendChild(towerSelection);
-  towerSelectionContainer.appendChild(towerDescription);
+  createEmpty() {
+    return {
+      version: this.version,
+      highScores: [],   // { score, wave, date, map, difficulty }, best first
+      lifetime: {
+        runs: 0,
+        enemiesKilled: {},  // Keyed by enemy type
+        towersBuilt: {},    // Keyed by tower type
+        goldEarned: 0,
+        playTime: 0         // Real unpaused milliseconds
+      }
+    };
+  },
   
-  // Compose primary UI elements
-  uiContainer.appendChild(statusBar);
-  uiContainer.appendChild(towerSelectionContainer);
+  load() {
+    try {
+      const data = localStorage.getItem(this.storageKey);
+      if (!data) return this.createEmpty();
+      
+      const records = JSON.parse(data);
+      if (records.version !== this.version) {
+        console.warn(`Discarding incompatible records (version ${records.version}, expected ${this.version})`);
+        return this.createEmpty();
+      }
+      
+      return records;
+    } catch (error) {
+      console.error("Error loading records:", error);
+      return this.createEmpty();
+    }
+  },
   
-  // Apply interface styling architecture
-  const style = document.createElement('style');
-  style.textContent = `
-    #ui-container {
-      position: absolute;
-      top: 0;
-      left: 0;
-      width: 100%;
-      height: 100%;
-      pointer-events: none;
-      display: flex;
-      flex-direction: column;
-      justify-content: space-between;
+  store(records) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(records));
+      return true;
+    } catch (error) {
+      console.error("Error saving records:", error);
+      return false;
     }
+  },
+  
+  // Finished run entry with its real unpaused play time; reports its table rank (null when it
+  // missed the table) and personal bests
+  recordRun(state, map, playTime) {
+    const records = this.load();
+    const stats = state.stats;
+    const previousBest = records.highScores[0];
+    const bestWave = records.highScores.reduce((best, entry) => Math.max(best, entry.wave), 0);
     
-    .status-bar {
-      display: flex;
-      justify-content: space-between;
-      padding: 10px;
-      background-color: rgba(0, 0, 0, 0.7);
-      color: white;
-      pointer-events: auto;
-    }
+    const entry = {
+      score: stats.score,
+      wave: state.wave,
+      date: Date.now(),
+      map: map.name,
+      difficulty: state.difficulty.name
+    };
     
-    #tower-selection-container {
-      background-color: rgba(0, 0, 0, 0.8);
-      padding: 10px;
-      border-top: 2px solid #4a5568;
-      pointer-events: auto;
-      display: flex;
-      flex-direction: column;
-    }
+    // Ties keep the earlier run ahead
+    records.highScores.push(entry);
+    records.highScores.sort((a, b) => b.score - a.score || b.wave - a.wave || a.date - b.date);
+    records.highScores = records.highScores.slice(0, this.maxHighScores);
     
-    #tower-selection {
-      display: flex;
-      gap: 10px;
-      justify-content: center;
-    }
+    const lifetime = records.lifetime;
+    lifetime.runs++;
+    lifetime.goldEarned += stats.goldEarned;
+    lifetime.playTime += playTime;
+    Object.entries(stats.kills).forEach(([type, count]) => {
+      lifetime.enemiesKilled[type] = (lifetime.enemiesKilled[type] || 0) + count;
+    });
+    Object.entries(stats.towersBuilt).forEach(([type, count]) => {
+      lifetime.towersBuilt[type] = (lifetime.towersBuilt[type] || 0) + count;
+    });
     
-    .tower-button {
-      background-color: #2d3748;
-      border: 1px solid #4a5568;
-      border-radius: 4px;
-      padding: 5px;
-      cursor: pointer;
-      color: white;
-      display: flex;
-      flex-direction: column;
-      align-items: center;
-      transition: all 0.2s;
-      width: 80px;
-    }
+    this.store(records);
     
-    .tower-button:hover:not(:disabled) {
-      background-color: #4a5568;
-      transform: translateY(-2px);
+    const rank = records.highScores.indexOf(entry);
+    return {
+      entry,
+      rank: rank === -1 ? null : rank + 1,
+      newBestScore: !previousBest || entry.score > previousBest.score,
+      newBestWave: entry.wave > bestWave
+    };
+  },
+  
+  clear() {
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      console.error("Error clearing records:", error);
     }
+  }
+};
+
+// Achievement catalog; unlock conditions live in achievementSystem.track
+const achievementDefinitions = {
+  firstBlood: { name: 'First Blood', description: 'Defeat your first enemy' },
+  sharpshooter: { name: 'Sharpshooter', description: 'Land a critical hit with a Sniper Tower' },
+  giantSlayer: { name: 'Giant Slayer', description: 'Defeat a boss' },
+  bossSurvivor: { name: 'Weathered the Storm', description: 'Survive a boss wave' },
+  backToBasics: { name: 'Back to Basics', description: 'Clear a wave defended only by Basic Towers' },
+  carpetBombing: { name: 'Carpet Bombing', description: 'Defeat 10 enemies with a single Bomber explosion' },
+  masterBuilder: { name: 'Master Builder', description: 'Upgrade a tower to its maximum level' },
+  flawless: { name: 'Flawless', description: 'Clear the first five waves without losing a life' },
+  veteran: { name: 'Veteran', description: 'Reach wave 10' }
+};
+
+// Achievement evaluation from simulation events, local persistence and unlock toasts
+const achievementSystem = {
+  storageKey: 'towerDefenseAchievements',
+  version: 1,           // Increment when the unlock format changes incompatibly
+  blastKillTarget: 10,  // Carpet Bombing threshold
+  toastDuration: 4000,
+  unlocked: null,       // Achievement id to unlock time, loaded on first use
+  
+  load() {
+    if (this.unlocked) return this.unlocked;
+    this.unlocked = {};
     
-    .tower-button:disabled {
-      opacity: 0.5;
-      cursor: not-allowed;
-      filter: grayscale(100%);
+    try {
+      const data = localStorage.getItem(this.storageKey);
+      if (!data) return this.unlocked;
+      
+      const saved = JSON.parse(data);
+      if (saved.version !== this.version) {
+        console.warn(`Discarding incompatible achievements (version ${saved.version}, expected ${this.version})`);
+        return this.unlocked;
+      }
+      
+      this.unlocked = saved.unlocked;
+    } catch (error) {
+      console.error("Error loading achievements:", error);
     }
+    return this.unlocked;
+  },
+  
+  isUnlocked(id) {
+    return Boolean(this.load()[id]);
+  },
+  
+  // First unlock persists and announces; replays never award achievements
+  unlock(id) {
+    if (replaySystem.isPlayback() || this.isUnlocked(id)) return;
     
-    .tower-icon {
-      width: 24px;
-      height: 24px;
-      border-radius: 50%;
-      margin-bottom: 5px;
+    this.unlocked[id] = Date.now();
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ version: this.version, unlocked: this.unlocked }));
+    } catch (error) {
+      console.error("Error saving achievements:", error);
     }
     
-    .tower-info {
-      text-align: center;
-      font-size: 12px;
-    }
+    audioSystem.playSound('upgrade', { volume: 0.7 });
+    this.showToast(achievementDefinitions[id]);
+  },
+  
+  // Condition tracking for one rules engine instance
+  track(sim) {
+    const allBasic = () => sim.state.towers.length > 0 && sim.state.towers.every(tower => tower.type === 'basic');
     
-    .tower-name {
-      font-weight: bold;
-      white-space: nowrap;
-    }
+    // Resumed runs lack the current wave's history, so wave conditions start with the next wave
+    const tracker = {
+      bossWave: false,  // A boss spawned this wave
+      onlyBasic: false, // No other tower type stood during this wave
+      blast: null       // Latest bomber impact and the kills it caused
+    };
     
-    #tower-description {
-      margin-top: 10px;
-      text-align: center;
-      font-size: 14px;
-      color: #cbd5e0;
-      min-height: 40px;
-      padding: 5px;
-    }
-  `;
-  document.head.appendChild(style);
-  
-  // Verify start screen exists
-  let startScreen = document.getElementById('start-screen');
-  if (!startScreen) {
-    startScreen = document.createElement('div');
-    startScreen.id = 'start-screen';
-    document.getElementById('game-container').appendChild(startScreen);
-  }
-  
-  // Configure tower description hover effects
-  const towerButtons = document.querySelectorAll('.tower-button');
-  towerButtons.forEach(button => {
-    const towerType = button.dataset.type;
-    const description = document.getElementById('tower-description');
+    sim.on('waveStarted', ({ wave }) => {
+      tracker.bossWave = false;
+      tracker.onlyBasic = allBasic();
+      if (wave >= 10) this.unlock('veteran');
+    });
     
-    button.addEventListener('mouseover', () => {
-      if (description) {
-        description.innerHTML = `
-          <strong>${towerTypes[towerType].name}</strong>: ${towerTypes[towerType].description}<br>
-          <span style="color:#a0aec0">Damage: ${towerTypes[towerType].damage} | Range: ${towerTypes[towerType].range} | Fire Rate: ${towerTypes[towerType].fireRate}/s</span>
-        `;
-      }
+    sim.on('towerPlaced', ({ tower }) => {
+      if (tower.type !== 'basic') tracker.onlyBasic = false;
     });
     
-    button.addEventListener('mouseout', () => {
-      if (description) {
-        description.textContent = 'Select a tower to see its description';
-      }
+    sim.on('towerUpgraded', ({ tower }) => {
+      if (!sim.getNextUpgrade(tower)) this.unlock('masterBuilder');
     });
-  });
-  
+    
+    sim.on('enemySpawned', ({ enemy }) => {
+      if (enemy.boss) tracker.bossWave = true;
+    });
+    
+    sim.on('waveCompleted', ({ wave }) => {
+      if (tracker.bossWave) this.unlock('bossSurvivor');
+      if (tracker.onlyBasic && allBasic()) this.unlock('backToBasics');
+      if (wave === 5 && sim.state.lives >= sim.state.difficulty.startingLives) this.unlock('flawless');
+    });
+    
+    sim.on('enemyDamaged', ({ critical, tower }) => {
+      if (critical && tower && tower.type === 'sniper') this.unlock('sharpshooter');
+    });
+    
+    // Splash and primary-target defeats follow their explosion event synchronously
+    sim.on('explosion', ({ projectile }) => {
+      tracker.blast = { projectile, kills: 0 };
+    });
+    
+    sim.on('enemyDefeated', ({ enemy, projectile }) => {
+      this.unlock('firstBlood');
+      if (enemy.boss) this.unlock('giantSlayer');
+      
+      const blast = tracker.blast;
+      if (blast && projectile && projectile === blast.projectile && ++blast.kills >= this.blastKillTarget) {
+        this.unlock('carpetBombing');
+      }
+    });
+  },
+  
+  // Stacked corner notification that fades out on its own
+  showToast(definition) {
+    const container = document.getElementById('game-container');
+    if (!container) return;
+    
+    let stack = document.getElementById('achievement-toasts');
+    if (!stack) {
+      stack = document.createElement('div');
+      stack.id = 'achievement-toasts';
+      container.appendChild(stack);
+    }
+    
+    const toast = document.createElement('div');
+    toast.className = 'achievement-toast';
+    
+    const label = document.createElement('div');
+    label.className = 'achievement-toast-label';
+    label.textContent = 'Achievement unlocked';
+    
+    const name = document.createElement('div');
+    name.className = 'achievement-toast-name';
+    name.textContent = definition.name;
+    
+    const description = document.createElement('div');
+    description.className = 'achievement-toast-description';
+    description.textContent = definition.description;
+    
+    toast.appendChild(label);
+    toast.appendChild(name);
+    toast.appendChild(description);
+    stack.appendChild(toast);
+    
+    setTimeout(() => toast.remove(), this.toastDuration);
+    this.injectStyles();
+  },
+  
+  // Shared by the toasts and the achievements screen
+  injectStyles() {
+    if (!document.getElementById('achievement-style')) {
+      const style = document.createElement('style');
+      style.id = 'achievement-style';
+      style.textContent = `
+        #achievement-toasts {
+          position: absolute;
+          top: 40px;
+          right: 10px;
+          z-index: 150;
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          pointer-events: none;
+        }
+        
+        .achievement-toast {
+          width: 220px;
+          padding: 8px 12px;
+          background-color: rgba(26, 32, 44, 0.95);
+          border: 2px solid #f6e05e;
+          border-radius: 6px;
+          color: white;
+          animation: achievement-toast 4s ease forwards;
+        }
+        
+        @keyframes achievement-toast {
+          0% { opacity: 0; transform: translateX(40px); }
+          10% { opacity: 1; transform: translateX(0); }
+          85% { opacity: 1; }
+          100% { opacity: 0; }
+        }
+        
+        .achievement-toast-label {
+          font-size: 11px;
+          color: #f6e05e;
+          text-transform: uppercase;
+        }
+        
+        .achievement-toast-name {
+          font-weight: bold;
+        }
+        
+        .achievement-toast-description,
+        .achievement-card-description {
+          font-size: 12px;
+          color: #a0aec0;
+        }
+        
+        .achievement-list {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 8px;
+          margin-bottom: 10px;
+        }
+        
+        .achievement-card {
+          padding: 8px;
+          border: 1px solid #4a5568;
+          border-radius: 4px;
+          opacity: 0.5;
+        }
+        
+        .achievement-card.unlocked {
+          border-color: #f6e05e;
+          opacity: 1;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+  }
+};
+
+// Research perks bought between runs; tower perks exist once per tower type as `<type>:<kind>`
+const researchPerks = {
+  startingGold: { name: 'War Chest', description: '+25 starting gold', maxLevel: 4, baseCost: 4 },
+  preparationTime: { name: 'Scouting', description: '+2s preparation time', maxLevel: 3, baseCost: 3 }
+};
+
+const towerResearchPerks = {
+  discount: { name: 'Discount', description: '10% cheaper to build', maxLevel: 3, baseCost: 3 },
+  range: { name: 'Optics', description: '+10% range', maxLevel: 3, baseCost: 4, requires: 'discount' },
+  unlock: { name: 'Early Access', description: 'Unlocks one wave earlier', maxLevel: 3, baseCost: 5, requires: 'discount' }
+};
+
+// Persistent research currency and perk levels, applied to runs as they are built
+const researchSystem = {
+  storageKey: 'towerDefenseResearch',
+  version: 1,               // Increment when the progress format changes incompatibly
+  killsPerPoint: 10,        // Each wave survived earns a point, plus one per this many kills
+  goldPerLevel: 25,
+  preparationPerLevel: 2,   // Seconds
+  discountPerLevel: 0.1,
+  rangePerLevel: 0.1,
+  
+  createEmpty() {
+    return { version: this.version, points: 0, perks: {} };
+  },
+  
+  load() {
+    try {
+      const data = localStorage.getItem(this.storageKey);
+      if (!data) return this.createEmpty();
+      
+      const progress = JSON.parse(data);
+      if (progress.version !== this.version) {
+        console.warn(`Discarding incompatible research (version ${progress.version}, expected ${this.version})`);
+        return this.createEmpty();
+      }
+      
+      return progress;
+    } catch (error) {
+      console.error("Error loading research:", error);
+      return this.createEmpty();
+    }
+  },
+  
+  store(progress) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(progress));
+      return true;
+    } catch (error) {
+      console.error("Error saving research:", error);
+      return false;
+    }
+  },
+  
+  // Perk levels for a new run
+  getPerks() {
+    return { ...this.load().perks };
+  },
+  
+  getDefinition(id) {
+    const [towerType, kind] = id.split(':');
+    return kind ? towerResearchPerks[kind] : researchPerks[towerType];
+  },
+  
+  // Early Access stops once the tower is available from the first wave
+  getMaxLevel(id) {
+    const [towerType, kind] = id.split(':');
+    const definition = this.getDefinition(id);
+    return kind === 'unlock'
+      ? Math.min(definition.maxLevel, towerTypes[towerType].unlockWave - 1)
+      : definition.maxLevel;
+  },
+  
+  // Each level costs more than the last
+  getCost(id, perks) {
+    return this.getDefinition(id).baseCost * ((perks[id] || 0) + 1);
+  },
+  
+  // Reason the next level cannot be bought, or null when it can
+  getBlocker(id, progress) {
+    const level = progress.perks[id] || 0;
+    const definition = this.getDefinition(id);
+    if (level >= this.getMaxLevel(id)) return 'Maxed';
+    
+    if (definition.requires) {
+      const requiredId = `${id.split(':')[0]}:${definition.requires}`;
+      if (!progress.perks[requiredId]) return `Needs ${this.getDefinition(requiredId).name}`;
+    }
+    
+    if (progress.points < this.getCost(id, progress.perks)) return 'Not enough research';
+    return null;
+  },
+  
+  purchase(id) {
+    const progress = this.load();
+    if (this.getBlocker(id, progress)) return false;
+    
+    progress.points -= this.getCost(id, progress.perks);
+    progress.perks[id] = (progress.perks[id] || 0) + 1;
+    return this.store(progress);
+  },
+  
+  // Research payout for a finished run
+  awardRun(state) {
+    const kills = Object.values(state.stats.kills).reduce((sum, count) => sum + count, 0);
+    const earned = state.wave + Math.floor(kills / this.killsPerPoint);
+    
+    const progress = this.load();
+    progress.points += earned;
+    this.store(progress);
+    return earned;
+  },
+  
+  // Tower templates with cost, range and unlock perks applied
+  applyToTowers(perks) {
+    const definitions = {};
+    Object.entries(towerTypes).forEach(([type, data]) => {
+      const discount = perks[`${type}:discount`] || 0;
+      const range = perks[`${type}:range`] || 0;
+      const unlock = perks[`${type}:unlock`] || 0;
+      
+      definitions[type] = {
+        ...data,
+        cost: Math.round(data.cost * (1 - discount * this.discountPerLevel)),
+        range: Math.round(data.range * (1 + range * this.rangePerLevel)),
+        unlockWave: Math.max(1, data.unlockWave - unlock)
+      };
+    });
+    return definitions;
+  },
+  
+  // Run difficulty with starting gold and preparation perks applied
+  applyToDifficulty(difficulty, perks) {
+    return {
+      ...difficulty,
+      startingMoney: difficulty.startingMoney + (perks.startingGold || 0) * this.goldPerLevel,
+      preparationTime: difficulty.preparationTime + (perks.preparationTime || 0) * this.preparationPerLevel
+    };
+  },
+  
+  reset() {
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      console.error("Error resetting research:", error);
+    }
+  }
+};
+
+// Run recording and playback through the player command entry points
+const replaySystem = {
+  version: 2,       // Increment when the log format or the rules it replays against change
+  mode: 'idle',     // 'recording' during live runs, 'playback' while watching a replay
+  replay: null,     // { seed, map, difficulty, perks, duration, commands } for the active run or loaded file
+  cursor: 0,        // Next command to apply during playback
+  scrubbing: false, // Seek slider held by the player
+  
+  // Fresh command log for a live run, optionally continuing a saved one
+  startRecording(seed, commands = []) {
+    this.mode = 'recording';
+    this.replay = { seed, duration: 0, commands: commands.slice() };
+    this.cursor = 0;
+  },
+  
+  // Command capture stamped with the simulation tick it applies before
+  record(type, args = {}) {
+    if (this.mode !== 'recording' || !simulation) return;
+    this.replay.commands.push({ tick: simulation.state.tick, type, ...args });
+  },
+  
+  isPlayback() {
+    return this.mode === 'playback';
+  },
+  
+  // Portable replay document for the current recording or loaded file
+  createReplay() {
+    if (!this.replay) return null;
+    
+    return {
+      version: this.version,
+      recordedAt: Date.now(),
+      seed: this.replay.seed,
+      map: this.mode === 'recording' ? simulation.map : this.replay.map,
+      difficulty: this.mode === 'recording' ? simulation.state.difficulty : this.replay.difficulty,
+      perks: this.mode === 'recording' ? gameState.runPerks : this.replay.perks,
+      duration: this.mode === 'recording' ? simulation.state.tick : this.replay.duration,
+      commands: this.replay.commands.slice()
+    };
+  },
+  
+  // Replay document validation
+  parse(text) {
+    const replay = JSON.parse(text);
+    if (typeof replay.version === 'number' && replay.version < this.version) {
+      throw new Error(`This replay was recorded by an older version of the game (format ${replay.version}) and would not play back faithfully`);
+    }
+    if (replay.version !== this.version) {
+      throw new Error(`Unsupported replay version ${replay.version}, expected ${this.version}`);
+    }
+    if (typeof replay.seed !== 'number' || typeof replay.duration !== 'number' || !Array.isArray(replay.commands) ||
+        !replay.map || !replay.difficulty || typeof replay.difficulty !== 'object') {
+      throw new Error('Malformed replay file');
+    }
+    
+    replay.map = normalizeMap(replay.map);
+    replay.perks = replay.perks || {};
+    
+    return replay;
+  },
+  
+  // JSON file download of the current replay
+  exportReplay() {
+    const replay = this.createReplay();
+    if (!replay) {
+      createFloatingText(canvas.width / 2, canvas.height / 2, 'No replay recorded', '#ef4444');
+      return;
+    }
+    
+    downloadJson(`tower-defense-replay-${replay.seed}.json`, replay);
+  },
+  
+  // JSON file selection and playback start
+  importReplay() {
+    pickJsonFile((text) => {
+      try {
+        this.play(this.parse(text));
+      } catch (error) {
+        console.error("Error loading replay:", error);
+        alert(`Could not load replay: ${error.message}`);
+      }
+    });
+  },
+  
+  // Playback entry from a replay document
+  play(replay) {
+    this.mode = 'playback';
+    this.replay = {
+      seed: replay.seed,
+      map: replay.map || defaultMap,
+      difficulty: replay.difficulty,
+      perks: replay.perks || {},
+      duration: replay.duration,
+      commands: replay.commands.slice()
+    };
+    
+    gameState.isPlaying = true;
+    gameState.gameScreen = 'game';
+    gameState.paused = false;
+    uiElements.startScreen.style.display = 'none';
+    document.getElementById('ui-container').style.display = 'flex';
+    this.showControls(true);
+    
+    audioSystem.startMusic();
+    this.seek(0);
+    updatePauseButton();
+  },
+  
+  // Simulations only run forward: rebuild from the seed and fast-forward silently
+  seek(targetTick) {
+    const muted = audioSystem.muted;
+    audioSystem.muted = true;
+    
+    simulation = createSimulation({
+      seed: this.replay.seed,
+      map: this.replay.map,
+      difficulty: this.replay.difficulty,
+      towerTypes: researchSystem.applyToTowers(this.replay.perks)
+    });
+    applyMapDimensions(simulation.map);
+    seedEffectsRandom(this.replay.seed);
+    gameState.selectedTower = null;
+    gameState.selectedPlacedTower = null;
+    gameState.selectedAbility = null;
+    gameState.gameSpeed = 1;
+    this.cursor = 0;
+    
+    simulation.start();
+    while (simulation.state.tick < targetTick && !simulation.state.isOver) {
+      this.applyDueCommands();
+      simulation.step();
+    }
+    
+    // Presentation resumes at the seek target
+    bindSimulationEvents(simulation);
+    audioSystem.muted = muted;
+    gameState.effects = [];
+    simulationClock.reset();
+    
+    updateUI();
+    updateSpeedButton();
+    this.updateControls();
+  },
+  
+  // Commands scheduled before the upcoming tick
+  applyDueCommands() {
+    if (this.mode !== 'playback') return;
+    
+    const commands = this.replay.commands;
+    while (this.cursor < commands.length && commands[this.cursor].tick <= simulation.state.tick) {
+      this.applyCommand(commands[this.cursor++]);
+    }
+  },
+  
+  // Command dispatch through the same entry points the player uses
+  applyCommand(command) {
+    const tower = simulation.state.towers[command.tower];
+    
+    switch (command.type) {
+      case 'selectTower':
+        selectTower(command.towerType);
+        break;
+      case 'placeTower':
+        placeTower(command.x, command.y, command.towerType);
+        break;
+      case 'upgradeTower':
+        if (tower) upgradeTower(tower);
+        break;
+      case 'sellTower':
+        if (tower) sellTower(tower);
+        break;
+      case 'cycleTargeting':
+        if (tower) cycleTargetingMode(tower);
+        break;
+      case 'callNextWave':
+        simulation.callNextWave();
+        break;
+      case 'castAbility':
+        castAbility(command.ability, command.x, command.y);
+        break;
+      case 'setSpeed':
+        gameState.gameSpeed = command.speed;
+        updateSpeedButton();
+        break;
+      default:
+        console.warn(`Skipping unknown replay command: ${command.type}`);
+    }
+  },
+  
+  // Playback end detection after each tick
+  afterStep() {
+    if (this.mode !== 'playback') return;
+    
+    if (simulation.state.tick >= this.replay.duration) {
+      this.finish('Replay finished');
+    }
+  },
+  
+  finish(message) {
+    createFloatingText(canvas.width / 2, canvas.height / 2, message, '#90cdf4');
+    setPaused(true);
+    this.updateControls();
+  },
+  
+  // Play control restarting from the beginning once the end is reached
+  togglePlayback() {
+    const atEnd = simulation.state.tick >= this.replay.duration || simulation.state.isOver;
+    if (gameState.paused && atEnd) {
+      this.seek(0);
+    }
+    togglePause();
+  },
+  
+  // Return to the main menu from playback
+  exit() {
+    resetGame();
+    gameState.gameScreen = 'mainMenu';
+    createMainMenu();
+    uiElements.startScreen.style.display = 'flex';
+  },
+  
+  // Recording or playback teardown on reset
+  reset() {
+    this.mode = 'idle';
+    this.replay = null;
+    this.cursor = 0;
+    this.showControls(false);
+  },
+  
+  // Playback controls replace the tower selection bar while watching
+  showControls(visible) {
+    const controls = document.getElementById('replay-controls');
+    const towerSelection = document.getElementById('tower-selection-container');
+    if (controls) controls.style.display = visible ? 'flex' : 'none';
+    if (towerSelection) towerSelection.style.display = visible ? 'none' : 'flex';
+  },
+  
+  // Seek bar and clock synchronization
+  updateControls() {
+    if (this.mode !== 'playback') return;
+    
+    const seekBar = document.getElementById('replay-seek');
+    const timeLabel = document.getElementById('replay-time');
+    const playButton = document.getElementById('replay-play-button');
+    
+    if (seekBar && !this.scrubbing) {
+      seekBar.max = this.replay.duration;
+      seekBar.value = simulation.state.tick;
+    }
+    if (timeLabel) {
+      const tick = this.scrubbing && seekBar ? Number(seekBar.value) : simulation.state.tick;
+      timeLabel.textContent = `${formatTicks(tick)} / ${formatTicks(this.replay.duration)}`;
+    }
+    if (playButton) {
+      playButton.textContent = gameState.paused ? 'Play' : 'Pause';
+    }
+  }
+};
+
+// JSON document download through a temporary link
+function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// JSON file selection through a transient file input
+function pickJsonFile(onLoad) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+  input.addEventListener('change', () => {
+    const file = input.files && input.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => onLoad(reader.result);
+    reader.readAsText(file);
+  });
+  input.click();
+}
+
+// Tick count to m:ss display conversion
+function formatTicks(ticks) {
+  const totalSeconds = Math.floor(ticks * tickDuration / 1000);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${Math.floor(totalSeconds / 60)}:${seconds}`;
+}
+
+// Map authoring screen for routes and buildable areas
+const mapEditor = {
+  map: null,          // Working copy, kept between visits
+  activeRoute: 0,     // Path currently receiving new waypoints
+  tool: 'path',       // 'path' edits waypoints, 'block' paints non-buildable cells
+  drag: null,         // { route, index } of the waypoint being dragged
+  paintValue: null,   // Block state applied while painting
+  handleRadius: 10,
+  
+  // Editor entry from the main menu
+  open() {
+    if (!this.map) {
+      this.map = this.cloneMap(defaultMap);
+    }
+    
+    gameState.gameScreen = 'editor';
+    uiElements.startScreen.style.display = 'none';
+    applyMapDimensions(this.map);
+    this.createToolbar();
+    this.setTool(this.tool);
+  },
+  
+  close() {
+    const toolbar = document.getElementById('map-editor-toolbar');
+    if (toolbar) toolbar.remove();
+    
+    this.drag = null;
+    this.paintValue = null;
+    applyMapDimensions(simulation.map);
+    gameState.gameScreen = 'mainMenu';
+    createMainMenu();
+    uiElements.startScreen.style.display = 'flex';
+  },
+  
+  // Editable copy of a map document
+  cloneMap(map) {
+    return {
+      ...map,
+      id: 'custom',
+      paths: map.paths.map(route => route.map(point => ({ ...point }))),
+      pathWeights: (map.pathWeights || map.paths.map(() => 1)).slice(),
+      blockedCells: map.blockedCells.map(cell => ({ ...cell })),
+      terrain: map.terrain.map(feature => ({ ...feature }))
+    };
+  },
+  
+  // Working map swap with toolbar refresh
+  loadMap(map) {
+    this.map = this.cloneMap(map);
+    this.activeRoute = 0;
+    applyMapDimensions(this.map);
+    this.createToolbar();
+  },
+  
+  // Toolbar construction with property, tool, file and test-play controls
+  createToolbar() {
+    const existing = document.getElementById('map-editor-toolbar');
+    if (existing) existing.remove();
+    
+    const toolbar = document.createElement('div');
+    toolbar.id = 'map-editor-toolbar';
+    
+    // Starting point selection from the built-in maps
+    const baseSelect = document.createElement('select');
+    baseSelect.id = 'map-base-select';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Start from...';
+    baseSelect.appendChild(placeholder);
+    builtInMaps.forEach(map => {
+      const option = document.createElement('option');
+      option.value = map.id;
+      option.textContent = map.name;
+      baseSelect.appendChild(option);
+    });
+    baseSelect.addEventListener('change', () => {
+      const base = builtInMaps.find(map => map.id === baseSelect.value);
+      if (base && confirm(`Discard your changes and start from ${base.name}?`)) {
+        this.loadMap(base);
+        this.setStatus(`Loaded ${base.name}`);
+      } else {
+        baseSelect.value = '';
+      }
+    });
+    toolbar.appendChild(baseSelect);
+    
+    // Map properties
+    const fields = [
+      ['map-name-input', 'text', 'name', 'Map name'],
+      ['map-money-input', 'number', 'startingMoney', 'Money'],
+      ['map-lives-input', 'number', 'startingLives', 'Lives']
+    ];
+    fields.forEach(([id, type, property, label]) => {
+      const input = document.createElement('input');
+      input.id = id;
+      input.type = type;
+      input.title = label;
+      input.placeholder = label;
+      input.value = this.map[property];
+      input.addEventListener('input', () => {
+        this.map[property] = type === 'number' ? parseInt(input.value, 10) : input.value;
+      });
+      toolbar.appendChild(input);
+    });
+    
+    const difficultySelect = document.createElement('select');
+    difficultySelect.id = 'map-difficulty-select';
+    ['easy', 'normal', 'hard'].forEach(difficulty => {
+      const option = document.createElement('option');
+      option.value = difficulty;
+      option.textContent = formatDifficulty(difficulty);
+      difficultySelect.appendChild(option);
+    });
+    difficultySelect.value = this.map.difficulty;
+    difficultySelect.addEventListener('change', () => {
+      this.map.difficulty = difficultySelect.value;
+    });
+    toolbar.appendChild(difficultySelect);
+    
+    // Spawn share of the active path
+    const weightInput = document.createElement('input');
+    weightInput.id = 'map-weight-input';
+    weightInput.type = 'number';
+    weightInput.min = 1;
+    weightInput.title = 'Path weight';
+    weightInput.value = this.map.pathWeights[this.activeRoute];
+    weightInput.addEventListener('input', () => {
+      this.map.pathWeights[this.activeRoute] = parseFloat(weightInput.value);
+    });
+    toolbar.appendChild(weightInput);
+    
+    const buttons = [
+      ['map-tool-path', 'Path', () => this.setTool('path')],
+      ['map-tool-block', 'Block Cells', () => this.setTool('block')],
+      ['map-add-path', 'Add Path', () => this.addRoute()],
+      ['map-next-path', 'Next Path', () => this.selectRoute(this.activeRoute + 1)],
+      ['map-clear-path', 'Clear Path', () => this.clearRoute()],
+      ['map-delete-path', 'Delete Path', () => this.deleteRoute()],
+      ['map-import', 'Import', () => this.importMap()],
+      ['map-export', 'Export', () => this.exportMap()],
+      ['map-test-play', 'Test Play', () => this.testPlay()],
+      ['map-editor-back', 'Back', () => this.close()]
+    ];
+    
+    buttons.forEach(([id, label, handler]) => {
+      const button = document.createElement('button');
+      button.id = id;
+      button.className = 'hud-button';
+      button.textContent = label;
+      button.addEventListener('click', handler);
+      toolbar.appendChild(button);
+    });
+    
+    const status = document.createElement('div');
+    status.id = 'map-editor-status';
+    toolbar.appendChild(status);
+    
+    document.getElementById('game-container').appendChild(toolbar);
+    this.updateToolButtons();
+    
+    if (!document.getElementById('map-editor-style')) {
+      const style = document.createElement('style');
+      style.id = 'map-editor-style';
+      style.textContent = `
+        #map-editor-toolbar {
+          position: absolute;
+          top: 0;
+          left: 0;
+          right: 0;
+          z-index: 15;
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 6px;
+          padding: 8px 10px;
+          background-color: rgba(0, 0, 0, 0.75);
+          color: white;
+          font-size: 13px;
+        }
+        
+        #map-editor-toolbar input,
+        #map-editor-toolbar select {
+          padding: 3px 6px;
+          background-color: #1a202c;
+          color: white;
+          border: 1px solid #4a5568;
+          border-radius: 4px;
+        }
+        
+        #map-name-input {
+          width: 120px;
+        }
+        
+        #map-money-input,
+        #map-lives-input,
+        #map-weight-input {
+          width: 60px;
+        }
+        
+        #map-editor-toolbar .active-tool {
+          background-color: #2b6cb0;
+          border-color: #90cdf4;
+        }
+        
+        #map-editor-status {
+          flex-basis: 100%;
+          color: #a0aec0;
+        }
+        
+        #map-editor-status.error {
+          color: #fc8181;
+        }
+      `;
+      document.head.appendChild(style);
+    }
+  },
+  
+  setTool(tool) {
+    this.tool = tool;
+    this.updateToolButtons();
+    this.setStatus(tool === 'path'
+      ? 'Click to add waypoints, drag to move, right-click or Shift+click to delete'
+      : 'Click or drag to toggle non-buildable cells');
+  },
+  
+  updateToolButtons() {
+    const pathButton = document.getElementById('map-tool-path');
+    const blockButton = document.getElementById('map-tool-block');
+    if (pathButton) pathButton.classList.toggle('active-tool', this.tool === 'path');
+    if (blockButton) blockButton.classList.toggle('active-tool', this.tool === 'block');
+  },
+  
+  setStatus(message, isError = false) {
+    const status = document.getElementById('map-editor-status');
+    if (!status) return;
+    
+    const route = this.map.paths[this.activeRoute] || [];
+    status.textContent = `${message} (path ${this.activeRoute + 1}/${this.map.paths.length}: ${route.length} waypoints, weight ${this.map.pathWeights[this.activeRoute]}; ${this.map.blockedCells.length} blocked cells)`;
+    status.classList.toggle('error', isError);
+  },
+  
+  // Route management
+  addRoute() {
+    this.map.paths.push([]);
+    this.map.pathWeights.push(1);
+    this.selectRoute(this.map.paths.length - 1);
+    this.setTool('path');
+  },
+  
+  selectRoute(index) {
+    this.activeRoute = index % this.map.paths.length;
+    
+    const weightInput = document.getElementById('map-weight-input');
+    if (weightInput) weightInput.value = this.map.pathWeights[this.activeRoute];
+    
+    this.setStatus(`Editing path ${this.activeRoute + 1}`);
+  },
+  
+  clearRoute() {
+    this.map.paths[this.activeRoute] = [];
+    this.setStatus('Path cleared');
+  },
+  
+  deleteRoute() {
+    if (this.map.paths.length === 1) {
+      this.setStatus('A map needs at least one path', true);
+      return;
+    }
+    
+    this.map.paths.splice(this.activeRoute, 1);
+    this.map.pathWeights.splice(this.activeRoute, 1);
+    this.selectRoute(Math.min(this.activeRoute, this.map.paths.length - 1));
+  },
+  
+  exportMap() {
+    try {
+      const map = normalizeMap(this.map);
+      const slug = map.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'map';
+      downloadJson(`tower-defense-map-${slug}.json`, map);
+      this.setStatus('Map exported');
+    } catch (error) {
+      this.setStatus(error.message, true);
+    }
+  },
+  
+  importMap() {
+    pickJsonFile((text) => {
+      try {
+        this.loadMap(normalizeMap(JSON.parse(text)));
+        this.setStatus('Map imported');
+      } catch (error) {
+        console.error("Error loading map:", error);
+        this.setStatus(`Could not load map: ${error.message}`, true);
+      }
+    });
+  },
+  
+  // Immediate run on the edited layout
+  testPlay() {
+    try {
+      const map = normalizeMap(this.map);
+      const toolbar = document.getElementById('map-editor-toolbar');
+      if (toolbar) toolbar.remove();
+      
+      startGame(generateSeed(), map, resolveDifficulty(gameState.difficultyMode, map, gameState.customDifficulty), true);
+    } catch (error) {
+      this.setStatus(error.message, true);
+    }
+  },
+  
+  // Pointer position in map coordinates
+  getPointer(event) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  },
+  
+  // Waypoints snap to half-cell positions and stay on the map
+  snap(x, y) {
+    const step = simulation.state.gridSize / 2;
+    return {
+      x: Math.min(this.map.width, Math.max(0, Math.round(x / step) * step)),
+      y: Math.min(this.map.height, Math.max(0, Math.round(y / step) * step))
+    };
+  },
+  
+  // Waypoint under the pointer, preferring the active path
+  findWaypoint(x, y) {
+    const order = this.map.paths.map((route, index) => index)
+      .sort((a, b) => (b === this.activeRoute) - (a === this.activeRoute));
+    
+    for (const route of order) {
+      const index = this.map.paths[route].findIndex(point => Math.hypot(point.x - x, point.y - y) <= this.handleRadius);
+      if (index !== -1) {
+        return { route, index };
+      }
+    }
+    return null;
+  },
+  
+  // Active path segment close enough to insert a waypoint into
+  findSegment(x, y) {
+    const path = this.map.paths[this.activeRoute];
+    for (let i = 0; i < path.length - 1; i++) {
+      const dx = path[i + 1].x - path[i].x;
+      const dy = path[i + 1].y - path[i].y;
+      const lengthSquared = dx * dx + dy * dy;
+      if (lengthSquared === 0) continue;
+      
+      const t = Math.max(0, Math.min(1, ((x - path[i].x) * dx + (y - path[i].y) * dy) / lengthSquared));
+      if (Math.hypot(path[i].x + dx * t - x, path[i].y + dy * t - y) <= this.handleRadius) {
+        return i;
+      }
+    }
+    return -1;
+  },
+  
+  getCell(x, y) {
+    const gridSize = simulation.state.gridSize;
+    return { col: Math.floor(x / gridSize), row: Math.floor(y / gridSize) };
+  },
+  
+  isBlocked(cell) {
+    return this.map.blockedCells.some(blocked => blocked.col === cell.col && blocked.row === cell.row);
+  },
+  
+  setBlocked(cell, blocked) {
+    if (this.isBlocked(cell) === blocked) return;
+    
+    if (blocked) {
+      this.map.blockedCells.push(cell);
+    } else {
+      this.map.blockedCells = this.map.blockedCells.filter(other => other.col !== cell.col || other.row !== cell.row);
+    }
+  },
+  
+  handleMouseDown(event) {
+    const { x, y } = this.getPointer(event);
+    
+    if (this.tool === 'block') {
+      const cell = this.getCell(x, y);
+      this.paintValue = !this.isBlocked(cell);
+      this.setBlocked(cell, this.paintValue);
+      this.setStatus(this.paintValue ? 'Cell blocked' : 'Cell cleared');
+      return;
+    }
+    
+    const waypoint = this.findWaypoint(x, y);
+    
+    // Deletion
+    if (event.button === 2 || event.shiftKey) {
+      if (waypoint) {
+        this.map.paths[waypoint.route].splice(waypoint.index, 1);
+        this.selectRoute(waypoint.route);
+        this.setStatus('Waypoint removed');
+      }
+      return;
+    }
+    
+    // Drag an existing waypoint, switching to its path
+    if (waypoint) {
+      this.selectRoute(waypoint.route);
+      this.drag = waypoint;
+      return;
+    }
+    
+    // Insert on a segment or extend the active path
+    const route = this.map.paths[this.activeRoute];
+    const point = this.snap(x, y);
+    const segment = this.findSegment(x, y);
+    if (segment !== -1) {
+      route.splice(segment + 1, 0, point);
+      this.drag = { route: this.activeRoute, index: segment + 1 };
+    } else {
+      route.push(point);
+      this.drag = { route: this.activeRoute, index: route.length - 1 };
+    }
+    this.setStatus('Waypoint added');
+  },
+  
+  handleMouseMove(event) {
+    const { x, y } = this.getPointer(event);
+    
+    if (this.drag) {
+      this.map.paths[this.drag.route][this.drag.index] = this.snap(x, y);
+    } else if (this.paintValue !== null) {
+      this.setBlocked(this.getCell(x, y), this.paintValue);
+    }
+  },
+  
+  handleMouseUp() {
+    if (this.drag || this.paintValue !== null) {
+      this.setStatus('Map updated');
+    }
+    this.drag = null;
+    this.paintValue = null;
+  },
+  
+  // Editor scene: route preview, restricted cells and waypoint handles
+  render() {
+    drawBackground();
+    drawTerrain(this.map.terrain);
+    drawBlockedCells(this.map.blockedCells, 0.6);
+    drawPath(this.map.paths);
+    
+    // Grid overlay for cell painting
+    const gridSize = simulation.state.gridSize;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+    ctx.lineWidth = 1;
+    for (let x = 0; x < canvas.width; x += gridSize) {
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, canvas.height);
+      ctx.stroke();
+    }
+    for (let y = 0; y < canvas.height; y += gridSize) {
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(canvas.width, y);
+      ctx.stroke();
+    }
+    
+    // Hovered cell highlight
+    if (this.tool === 'block') {
+      const cell = this.getCell(gameState.mouseX, gameState.mouseY);
+      ctx.strokeStyle = '#f6e05e';
+      ctx.strokeRect(cell.col * gridSize, cell.row * gridSize, gridSize, gridSize);
+    }
+    
+    // Waypoint handles with route order labels; inactive paths are dimmed
+    const hovered = this.findWaypoint(gameState.mouseX, gameState.mouseY);
+    ctx.font = 'bold 11px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    this.map.paths.forEach((route, routeIndex) => {
+      ctx.globalAlpha = routeIndex === this.activeRoute ? 1 : 0.4;
+      
+      route.forEach((point, index) => {
+        const isEndpoint = index === 0 || index === route.length - 1;
+        const isHovered = hovered && hovered.route === routeIndex && hovered.index === index;
+        
+        ctx.fillStyle = isEndpoint ? '#48bb78' : '#4299e1';
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, this.handleRadius, 0, Math.PI * 2);
+        ctx.fill();
+        
+        ctx.strokeStyle = isHovered ? '#f6e05e' : '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(String(index + 1), point.x, point.y);
+      });
+    });
+    ctx.globalAlpha = 1;
+    ctx.textBaseline = 'alphabetic';
+  }
+};
+
+// Recommended difficulty display label
+function formatDifficulty(difficulty) {
+  return difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
+}
+
+// Fraction to a whole or one-decimal percentage label
+function formatPercent(fraction) {
+  return `${Math.round(fraction * 1000) / 10}%`;
+}
+
+// Initialize rendering context
+const canvas = document.getElementById('game-canvas');
+const ctx = canvas.getContext('2d');
+canvas.width = 800;
+canvas.height = 600;
+
+// Battlefield sizing from the active map
+function applyMapDimensions(map) {
+  canvas.width = map.width;
+  canvas.height = map.height;
+  
+  const container = document.getElementById('game-container');
+  if (container) {
+    container.style.width = `${map.width}px`;
+    container.style.height = `${map.height}px`;
+  }
+}
+
+// Interface component registry with direct references
+const uiElements = {
+  moneyElement: document.getElementById('money'),
+  waveElement: document.getElementById('wave-number'),
+  livesElement: document.getElementById('lives-count'),
+  startButton: document.getElementById('start-button'),
+  startScreen: document.getElementById('start-screen'),
+  basicTowerButton: document.getElementById('basic-tower'),
+  cannonTowerButton: document.getElementById('cannon-tower'),
+  magicTowerButton: document.getElementById('magic-tower'),
+  uiContainer: document.getElementById('ui-container'),
+  gameContainer: document.getElementById('game-container')
+};
+
+// DOM recovery and reconstruction system
+function repairGameInterface() {
+  // Verify UI container exists
+  let uiContainer = document.getElementById('ui-container');
+  if (!uiContainer) {
+    uiContainer = document.createElement('div');
+    uiContainer.id = 'ui-container';
+    document.getElementById('game-container').appendChild(uiContainer);
+  }
+  
+  // Clear existing UI to prevent element duplication
+  uiContainer.innerHTML = '';
+  
+  // Construct status indicators for resource metrics
+  const statusBar = document.createElement('div');
+  statusBar.className = 'status-bar';
+  statusBar.innerHTML = `
+    <div id="resources">Money: <span id="money">75</span></div>
+    <div id="wave">Wave: <span id="wave-number">1</span></div>
+    <div id="lives">Lives: <span id="lives-count">10</span></div>
+  `;
+  
+  // Pause control
+  const pauseButton = document.createElement('button');
+  pauseButton.id = 'pause-button';
+  pauseButton.className = 'hud-button';
+  pauseButton.textContent = 'Pause [P]';
+  pauseButton.addEventListener('click', () => togglePause());
+  statusBar.appendChild(pauseButton);
+  
+  // Fast-forward control
+  const speedButton = document.createElement('button');
+  speedButton.id = 'speed-button';
+  speedButton.className = 'hud-button';
+  speedButton.textContent = 'Speed: 1x [F]';
+  speedButton.addEventListener('click', () => cycleGameSpeed());
+  statusBar.appendChild(speedButton);
+  
+  // Early wave call control
+  const nextWaveButton = document.createElement('button');
+  nextWaveButton.id = 'next-wave-button';
+  nextWaveButton.className = 'hud-button';
+  nextWaveButton.textContent = 'Next Wave [N]';
+  nextWaveButton.addEventListener('click', () => callNextWave());
+  statusBar.appendChild(nextWaveButton);
+  
+  // Replay export control
+  const exportReplayButton = document.createElement('button');
+  exportReplayButton.id = 'export-replay-button';
+  exportReplayButton.className = 'hud-button';
+  exportReplayButton.textContent = 'Export Replay';
+  exportReplayButton.addEventListener('click', () => replaySystem.exportReplay());
+  statusBar.appendChild(exportReplayButton);
+  
+  // Construct tower selection interface with composite layout
+  const towerSelectionContainer = document.createElement('div');
+  towerSelectionContainer.id = 'tower-selection-container';
+  
+  const towerSelection = document.createElement('div');
+  towerSelection.id = 'tower-selection';
+  
+  // Generate tower selection matrix
+  Object.entries(towerTypes).forEach(([type, data]) => {
+    const towerButton = document.createElement('button');
+    towerButton.id = `${type}-tower`;
+    towerButton.className = 'tower-button';
+    towerButton.dataset.type = type;
+    towerButton.dataset.unlockWave = data.unlockWave;
+    towerButton.innerHTML = `
+      <div class="tower-icon" style="background-color: ${data.color}"></div>
+      <div class="tower-info">
+        <div class="tower-name">${data.name}</div>
+        <div class="tower-cost">$${data.cost}</div>
+      </div>
+    `;
+    towerButton.addEventListener('click', () => selectTower(type));
+    towerSelection.appendChild(towerButton);
+  });
+  
+  // Placed structure inspection panel
+  const towerInfoPanel = document.createElement('div');
+  towerInfoPanel.id = 'tower-info-panel';
+  towerInfoPanel.style.display = 'none';
+  
+  // Tower information panel
+  const towerDescription = document.createElement('div');
+  towerDescription.id = 'tower-description';
+  towerDescription.textContent = 'Select a tower to see its description';
+  
+  // Player ability bar with cooldown readouts
+  const abilityBar = document.createElement('div');
+  abilityBar.id = 'ability-bar';
+  Object.entries(playerAbilities).forEach(([id, ability], index) => {
+    const abilityButton = document.createElement('button');
+    abilityButton.id = `ability-${id}`;
+    abilityButton.className = 'ability-button';
+    abilityButton.title = ability.description;
+    abilityButton.style.borderColor = abilityStyles[id].color;
+    
+    const abilityName = document.createElement('span');
+    abilityName.textContent = `${ability.name} [${abilityKeys[index]}]`;
+    
+    const abilityStatus = document.createElement('span');
+    abilityStatus.className = 'ability-status';
+    
+    abilityButton.appendChild(abilityName);
+    abilityButton.appendChild(abilityStatus);
+    abilityButton.addEventListener('click', () => selectAbility(id));
+    abilityBar.appendChild(abilityButton);
+  });
+  
+  // Assemble tower selection component
+  towerSelectionContainer.appendChild(towerSelection);
+  towerSelectionContainer.appendChild(abilityBar);
+  towerSelectionContainer.appendChild(towerDescription);
+  
+  // Replay playback controls, shown in place of tower selection while watching
+  const replayControls = document.createElement('div');
+  replayControls.id = 'replay-controls';
+  replayControls.style.display = 'none';
+  
+  const replayPlayButton = document.createElement('button');
+  replayPlayButton.id = 'replay-play-button';
+  replayPlayButton.className = 'hud-button';
+  replayPlayButton.textContent = 'Pause';
+  replayPlayButton.addEventListener('click', () => replaySystem.togglePlayback());
+  
+  const replaySeek = document.createElement('input');
+  replaySeek.id = 'replay-seek';
+  replaySeek.type = 'range';
+  replaySeek.min = 0;
+  replaySeek.max = 0;
+  replaySeek.value = 0;
+  replaySeek.addEventListener('input', () => {
+    replaySystem.scrubbing = true;
+    replaySystem.updateControls();
+  });
+  replaySeek.addEventListener('change', () => {
+    replaySystem.scrubbing = false;
+    replaySystem.seek(Number(replaySeek.value));
+  });
+  
+  const replayTime = document.createElement('span');
+  replayTime.id = 'replay-time';
+  replayTime.textContent = '0:00 / 0:00';
+  
+  const replayExitButton = document.createElement('button');
+  replayExitButton.id = 'replay-exit-button';
+  replayExitButton.className = 'hud-button';
+  replayExitButton.textContent = 'Exit Replay';
+  replayExitButton.addEventListener('click', () => replaySystem.exit());
+  
+  replayControls.appendChild(replayPlayButton);
+  replayControls.appendChild(replaySeek);
+  replayControls.appendChild(replayTime);
+  replayControls.appendChild(replayExitButton);
+  
+  // Compose primary UI elements
+  uiContainer.appendChild(statusBar);
+  uiContainer.appendChild(towerSelectionContainer);
+  uiContainer.appendChild(replayControls);
+  uiContainer.appendChild(towerInfoPanel);
+  
+  // Apply interface styling architecture
+  const style = document.createElement('style');
+  style.textContent = `
+    #ui-container {
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      pointer-events: none;
+      display: flex;
+      flex-direction: column;
+      justify-content: space-between;
+    }
+    
+    .status-bar {
+      display: flex;
+      justify-content: space-between;
+      padding: 10px;
+      background-color: rgba(0, 0, 0, 0.7);
+      color: white;
+      pointer-events: auto;
+    }
+    
+    .hud-button {
+      background-color: #2d3748;
+      color: white;
+      border: 1px solid #4a5568;
+      border-radius: 4px;
+      padding: 2px 10px;
+      cursor: pointer;
+    }
+    
+    .hud-button:hover {
+      background-color: #4a5568;
+    }
+    
+    #replay-controls {
+      align-items: center;
+      gap: 10px;
+      padding: 10px;
+      background-color: rgba(0, 0, 0, 0.8);
+      border-top: 2px solid #4a5568;
+      color: white;
+      pointer-events: auto;
+    }
+    
+    #replay-seek {
+      flex: 1;
+    }
+    
+    #replay-time {
+      min-width: 90px;
+      text-align: center;
+      font-variant-numeric: tabular-nums;
+    }
+    
+    #tower-selection-container {
+      background-color: rgba(0, 0, 0, 0.8);
+      padding: 10px;
+      border-top: 2px solid #4a5568;
+      pointer-events: auto;
+      display: flex;
+      flex-direction: column;
+    }
+    
+    #tower-selection {
+      display: flex;
+      gap: 10px;
+      justify-content: center;
+    }
+    
+    .tower-button {
+      background-color: #2d3748;
+      border: 1px solid #4a5568;
+      border-radius: 4px;
+      padding: 5px;
+      cursor: pointer;
+      color: white;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      transition: all 0.2s;
+      width: 80px;
+    }
+    
+    .tower-button:hover:not(:disabled) {
+      background-color: #4a5568;
+      transform: translateY(-2px);
+    }
+    
+    .tower-button:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+      filter: grayscale(100%);
+    }
+    
+    .tower-icon {
+      width: 24px;
+      height: 24px;
+      border-radius: 50%;
+      margin-bottom: 5px;
+    }
+    
+    .tower-info {
+      text-align: center;
+      font-size: 12px;
+    }
+    
+    .tower-name {
+      font-weight: bold;
+      white-space: nowrap;
+    }
+    
+    #ability-bar {
+      display: flex;
+      gap: 8px;
+      justify-content: center;
+      margin-top: 8px;
+    }
+    
+    .ability-button {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      min-width: 110px;
+      padding: 4px 8px;
+      background-color: #2d3748;
+      color: white;
+      border: 2px solid #4a5568;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 12px;
+    }
+    
+    .ability-button.selected {
+      background-color: #4a5568;
+    }
+    
+    .ability-button:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+    
+    .ability-status {
+      font-size: 11px;
+      color: #a0aec0;
+    }
+    
+    #tower-description {
+      margin-top: 10px;
+      text-align: center;
+      font-size: 14px;
+      color: #cbd5e0;
+      min-height: 40px;
+      padding: 5px;
+    }
+    
+    #tower-info-panel {
+      position: absolute;
+      top: 60px;
+      right: 10px;
+      width: 180px;
+      background-color: rgba(0, 0, 0, 0.8);
+      border: 1px solid #4a5568;
+      border-radius: 4px;
+      padding: 10px;
+      color: white;
+      font-size: 13px;
+      pointer-events: auto;
+    }
+    
+    #tower-info-panel .info-title {
+      font-weight: bold;
+      margin-bottom: 6px;
+    }
+    
+    #tower-info-panel .info-stats {
+      color: #a0aec0;
+      margin-bottom: 8px;
+      line-height: 1.5;
+    }
+    
+    #tower-info-panel button {
+      width: 100%;
+      margin-top: 5px;
+      padding: 6px;
+      background-color: #2d3748;
+      color: white;
+      border: 1px solid #4a5568;
+      border-radius: 4px;
+      cursor: pointer;
+    }
+    
+    #tower-info-panel button:hover:not(:disabled) {
+      background-color: #4a5568;
+    }
+    
+    #tower-info-panel button:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+    
+    #tower-info-panel .sell-button {
+      border-color: #c53030;
+    }
+  `;
+  document.head.appendChild(style);
+  
+  // Verify start screen exists
+  let startScreen = document.getElementById('start-screen');
+  if (!startScreen) {
+    startScreen = document.createElement('div');
+    startScreen.id = 'start-screen';
+    document.getElementById('game-container').appendChild(startScreen);
+  }
+  
+  // Configure tower description hover effects
+  const towerButtons = document.querySelectorAll('.tower-button');
+  towerButtons.forEach(button => {
+    const towerType = button.dataset.type;
+    const description = document.getElementById('tower-description');
+    
+    button.addEventListener('mouseover', () => {
+      if (description) {
+        const towerData = simulation.towerTypes[towerType];
+        description.innerHTML = `
+          <strong>${towerData.name}</strong>: ${towerData.description}<br>
+          <span style="color:#a0aec0">Damage: ${towerData.damage} ${formatDamageType(towerData.damageType)} | Range: ${towerData.range} (${formatAirCoverage(towerData)}) | Fire Rate: ${towerData.fireRate}/s</span>
+        `;
+      }
+    });
+    
+    button.addEventListener('mouseout', () => {
+      if (description) {
+        description.textContent = 'Select a tower to see its description';
+      }
+    });
+  });
+  
   // Create restart button for emergency state recovery
   createRestartButton();
 }
 
-// Main menu interface generation
-function createMainMenu() {
-  // Clear existing content
+// Main menu interface generation
+function createMainMenu() {
+  // Clear existing content
+  uiElements.startScreen.innerHTML = '';
+  
+  // Create main menu elements
+  const title = document.createElement('h1');
+  title.textContent = 'Tower Defense';
+  title.className = 'game-title';
+  
+  const buttonContainer = document.createElement('div');
+  buttonContainer.className = 'menu-buttons';
+  
+  // Saved run resumption
+  const savedRun = saveSystem.load();
+  if (savedRun) {
+    const continueBtn = document.createElement('button');
+    continueBtn.id = 'continue-game-btn';
+    continueBtn.textContent = `Continue (Wave ${savedRun.wave})`;
+    continueBtn.className = 'menu-button';
+    continueBtn.addEventListener('click', continueGame);
+    buttonContainer.appendChild(continueBtn);
+  }
+  
+  const startGameBtn = document.createElement('button');
+  startGameBtn.id = 'start-game-btn';
+  startGameBtn.textContent = 'Start Game';
+  startGameBtn.className = 'menu-button';
+  startGameBtn.addEventListener('click', () => showMapSelect(parseSeed(seedInput.value)));
+  
+  // Optional run seed for reproducible games
+  const seedContainer = document.createElement('div');
+  seedContainer.className = 'seed-container';
+  
+  const seedLabel = document.createElement('label');
+  seedLabel.textContent = 'Seed';
+  seedLabel.htmlFor = 'seed-input';
+  
+  const seedInput = document.createElement('input');
+  seedInput.id = 'seed-input';
+  seedInput.type = 'text';
+  seedInput.placeholder = 'Random';
+  seedInput.value = gameState.lastSeed !== null ? String(gameState.lastSeed) : '';
+  
+  seedContainer.appendChild(seedLabel);
+  seedContainer.appendChild(seedInput);
+  
+  const howToPlayBtn = document.createElement('button');
+  howToPlayBtn.id = 'how-to-play-btn';
+  howToPlayBtn.textContent = 'How To Play';
+  howToPlayBtn.className = 'menu-button';
+  howToPlayBtn.addEventListener('click', showHowToPlay);
+  
+  const mapEditorBtn = document.createElement('button');
+  mapEditorBtn.id = 'map-editor-btn';
+  mapEditorBtn.textContent = 'Map Editor';
+  mapEditorBtn.className = 'menu-button';
+  mapEditorBtn.addEventListener('click', () => mapEditor.open());
+  
+  const recordsBtn = document.createElement('button');
+  recordsBtn.id = 'records-btn';
+  recordsBtn.textContent = 'Records';
+  recordsBtn.className = 'menu-button';
+  recordsBtn.addEventListener('click', showRecords);
+  
+  const researchBtn = document.createElement('button');
+  researchBtn.id = 'research-btn';
+  researchBtn.textContent = 'Research';
+  researchBtn.className = 'menu-button';
+  researchBtn.addEventListener('click', showResearch);
+  
+  const achievementsBtn = document.createElement('button');
+  achievementsBtn.id = 'achievements-btn';
+  achievementsBtn.textContent = 'Achievements';
+  achievementsBtn.className = 'menu-button';
+  achievementsBtn.addEventListener('click', showAchievements);
+  
+  const loadReplayBtn = document.createElement('button');
+  loadReplayBtn.id = 'load-replay-btn';
+  loadReplayBtn.textContent = 'Load Replay';
+  loadReplayBtn.className = 'menu-button';
+  loadReplayBtn.addEventListener('click', () => replaySystem.importReplay());
+  
+  // Assemble menu
+  buttonContainer.appendChild(startGameBtn);
+  buttonContainer.appendChild(seedContainer);
+  buttonContainer.appendChild(mapEditorBtn);
+  buttonContainer.appendChild(loadReplayBtn);
+  buttonContainer.appendChild(researchBtn);
+  buttonContainer.appendChild(recordsBtn);
+  buttonContainer.appendChild(achievementsBtn);
+  buttonContainer.appendChild(howToPlayBtn);
+  
+  uiElements.startScreen.appendChild(title);
+  uiElements.startScreen.appendChild(buttonContainer);
+  
+  // Add CSS for menu styling
+  const style = document.createElement('style');
+  style.textContent = `
+    .game-title {
+      font-size: 48px;
+      color: #fff;
+      text-shadow: 0 0 10px rgba(255, 255, 255, 0.5);
+      margin-bottom: 30px;
+    }
+    
+    .menu-buttons {
+      display: flex;
+      flex-direction: column;
+      gap: 15px;
+    }
+    
+    .menu-button {
+      padding: 12px 24px;
+      font-size: 18px;
+      background-color: #2d3748;
+      color: white;
+      border: 2px solid #4a5568;
+      border-radius: 4px;
+      cursor: pointer;
+      transition: all 0.2s ease;
+      min-width: 200px;
+      text-align: center;
+    }
+    
+    .menu-button:hover {
+      background-color: #4a5568;
+      transform: translateY(-2px);
+      box-shadow: 0 4px 6px rgba(0,0,0,0.2);
+    }
+    
+    .seed-container {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      gap: 10px;
+      color: #a0aec0;
+      font-size: 14px;
+    }
+    
+    .seed-container input {
+      width: 140px;
+      padding: 6px 8px;
+      background-color: #1a202c;
+      color: white;
+      border: 1px solid #4a5568;
+      border-radius: 4px;
+    }
+    
+    .how-to-play-container {
+      background-color: rgba(0, 0, 0, 0.8);
+      padding: 20px;
+      border-radius: 8px;
+      max-width: 600px;
+      color: white;
+      margin: 0 auto;
+    }
+    
+    .how-to-play-container h2 {
+      color: #48bb78;
+      margin-bottom: 15px;
+    }
+    
+    .how-to-play-container ul {
+      text-align: left;
+      margin-bottom: 20px;
+    }
+    
+    .how-to-play-container li {
+      margin-bottom: 8px;
+    }
+    
+    .back-button {
+      background-color: #4a5568;
+      margin-top: 20px;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+// Battlefield selection between the main menu and a new run
+function showMapSelect(seed) {
+  gameState.gameScreen = 'mapSelect';
+  uiElements.startScreen.innerHTML = '';
+  
+  const title = document.createElement('h2');
+  title.className = 'map-select-title';
+  title.textContent = 'Choose a Map';
+  
+  // Difficulty mode picker applied to whichever map is chosen
+  const picker = document.createElement('div');
+  picker.className = 'difficulty-picker';
+  
+  const modes = Object.entries(difficultyModes).map(([mode, preset]) => [mode, preset.name]);
+  modes.push(['custom', 'Custom']);
+  modes.forEach(([mode, label]) => {
+    const button = document.createElement('button');
+    button.id = `difficulty-${mode}`;
+    button.className = 'difficulty-button';
+    button.textContent = label;
+    button.classList.toggle('active', gameState.difficultyMode === mode);
+    button.addEventListener('click', () => {
+      audioSystem.playSound('hit', { volume: 0.4 });
+      gameState.difficultyMode = mode;
+      showMapSelect(seed);
+    });
+    picker.appendChild(button);
+  });
+  
+  const difficultyDetails = createDifficultyDetails();
+  const difficultyError = document.createElement('div');
+  difficultyError.id = 'difficulty-error';
+  difficultyError.className = 'difficulty-error';
+  
+  const grid = document.createElement('div');
+  grid.className = 'map-select-grid';
+  
+  // Built-in maps plus the editor's working copy when it is playable
+  const maps = builtInMaps.slice();
+  if (mapEditor.map) {
+    try {
+      maps.push(normalizeMap(mapEditor.map));
+    } catch (error) {
+      // Unfinished editor layouts are left out of the list
+    }
+  }
+  
+  maps.forEach(map => {
+    const card = document.createElement('button');
+    card.id = `map-card-${map.id}`;
+    card.className = 'map-card';
+    
+    const preview = document.createElement('canvas');
+    preview.width = 160;
+    preview.height = 120;
+    drawMapThumbnail(preview, map);
+    
+    const name = document.createElement('div');
+    name.className = 'map-card-name';
+    name.textContent = map.name;
+    
+    const details = document.createElement('div');
+    details.className = 'map-card-details';
+    details.textContent = `${formatDifficulty(map.difficulty)} · $${map.startingMoney} · ${map.paths.length} ${map.paths.length === 1 ? 'path' : 'paths'}` +
+      (map.interest ? ` · ${formatPercent(map.interest.rate)} interest` : '');
+    
+    const description = document.createElement('div');
+    description.className = 'map-card-description';
+    description.textContent = map.description;
+    
+    card.appendChild(preview);
+    card.appendChild(name);
+    card.appendChild(details);
+    card.appendChild(description);
+    card.addEventListener('click', () => {
+      try {
+        startGame(seed, map, resolveDifficulty(gameState.difficultyMode, map, gameState.customDifficulty));
+      } catch (error) {
+        difficultyError.textContent = error.message;
+      }
+    });
+    grid.appendChild(card);
+  });
+  
+  const backButton = document.createElement('button');
+  backButton.className = 'menu-button back-button';
+  backButton.textContent = 'Back to Menu';
+  backButton.addEventListener('click', () => {
+    audioSystem.playSound('hit', { volume: 0.5 });
+    gameState.gameScreen = 'mainMenu';
+    createMainMenu();
+  });
+  
+  uiElements.startScreen.appendChild(title);
+  uiElements.startScreen.appendChild(picker);
+  uiElements.startScreen.appendChild(difficultyDetails);
+  uiElements.startScreen.appendChild(difficultyError);
+  uiElements.startScreen.appendChild(grid);
+  uiElements.startScreen.appendChild(backButton);
+  
+  if (!document.getElementById('map-select-style')) {
+    const style = document.createElement('style');
+    style.id = 'map-select-style';
+    style.textContent = `
+      .map-select-title {
+        color: #fff;
+        margin-bottom: 12px;
+      }
+      
+      .difficulty-picker {
+        display: flex;
+        gap: 8px;
+        margin-bottom: 8px;
+      }
+      
+      .difficulty-button {
+        padding: 6px 14px;
+        background-color: #2d3748;
+        color: white;
+        border: 2px solid #4a5568;
+        border-radius: 4px;
+        cursor: pointer;
+      }
+      
+      .difficulty-button.active {
+        border-color: #f6e05e;
+        color: #f6e05e;
+      }
+      
+      .difficulty-details {
+        font-size: 12px;
+        color: #a0aec0;
+        margin-bottom: 4px;
+        display: flex;
+        gap: 8px;
+        align-items: center;
+      }
+      
+      .difficulty-details input {
+        width: 56px;
+        padding: 2px 4px;
+        background-color: #1a202c;
+        color: white;
+        border: 1px solid #4a5568;
+        border-radius: 3px;
+      }
+      
+      .difficulty-error {
+        min-height: 16px;
+        font-size: 12px;
+        color: #fc8181;
+        margin-bottom: 8px;
+      }
+      
+      .map-select-grid {
+        display: flex;
+        flex-wrap: wrap;
+        justify-content: center;
+        gap: 12px;
+        max-width: 720px;
+      }
+      
+      .map-card {
+        width: 176px;
+        padding: 8px;
+        background-color: #2d3748;
+        color: white;
+        border: 2px solid #4a5568;
+        border-radius: 6px;
+        cursor: pointer;
+        text-align: left;
+        transition: all 0.2s ease;
+      }
+      
+      .map-card:hover {
+        background-color: #4a5568;
+        transform: translateY(-2px);
+      }
+      
+      .map-card canvas {
+        display: block;
+        border-radius: 4px;
+        margin-bottom: 6px;
+      }
+      
+      .map-card-name {
+        font-weight: bold;
+      }
+      
+      .map-card-details {
+        font-size: 12px;
+        color: #f6e05e;
+        margin: 2px 0;
+      }
+      
+      .map-card-description {
+        font-size: 12px;
+        color: #a0aec0;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// Preset summary, or override inputs for the Custom mode; blank inputs keep Normal's value
+function createDifficultyDetails() {
+  const details = document.createElement('div');
+  details.className = 'difficulty-details';
+  
+  const preset = difficultyModes[gameState.difficultyMode];
+  if (preset) {
+    details.textContent = [
+      `Lives x${preset.livesMultiplier}`,
+      `Money x${preset.moneyMultiplier}`,
+      `Enemy health ${Math.round(preset.healthMultiplier * 100)}%`,
+      `Rewards ${Math.round(preset.rewardMultiplier * 100)}%`,
+      `${preset.preparationTime}s preparation`,
+      preset.interestRate > 0
+        ? `Interest ${formatPercent(preset.interestRate)} (max ${preset.interestCap})`
+        : 'No interest'
+    ].join(' · ');
+    return details;
+  }
+  
+  // Percentage fields are stored as multipliers
+  const fields = [
+    ['startingLives', 'Lives', 1],
+    ['startingMoney', 'Money', 1],
+    ['healthMultiplier', 'Enemy health %', 100],
+    ['rewardMultiplier', 'Rewards %', 100],
+    ['preparationTime', 'Prep (s)', 1],
+    ['interestRate', 'Interest %', 100],
+    ['interestCap', 'Interest cap', 1]
+  ];
+  fields.forEach(([key, label, scale]) => {
+    const input = document.createElement('input');
+    input.id = `custom-${key}`;
+    input.type = 'number';
+    input.placeholder = 'Normal';
+    const value = gameState.customDifficulty[key];
+    input.value = value !== undefined ? String(Math.round(value * scale * 100) / 100) : '';
+    input.addEventListener('change', () => {
+      if (input.value.trim() === '') {
+        delete gameState.customDifficulty[key];
+      } else {
+        gameState.customDifficulty[key] = Number(input.value) / scale;
+      }
+      const error = document.getElementById('difficulty-error');
+      if (error) error.textContent = '';
+    });
+    
+    const fieldLabel = document.createElement('label');
+    fieldLabel.textContent = `${label} `;
+    fieldLabel.appendChild(input);
+    details.appendChild(fieldLabel);
+  });
+  
+  return details;
+}
+
+// Scaled-down battlefield preview for map selection
+function drawMapThumbnail(preview, map) {
+  const thumbCtx = preview.getContext('2d');
+  const scale = Math.min(preview.width / map.width, preview.height / map.height);
+  const gridSize = simulation.state.gridSize;
+  
+  thumbCtx.fillStyle = '#1a202c';
+  thumbCtx.fillRect(0, 0, preview.width, preview.height);
+  
+  thumbCtx.fillStyle = 'rgba(229, 62, 62, 0.5)';
+  for (const cell of map.blockedCells) {
+    thumbCtx.fillRect(cell.col * gridSize * scale, cell.row * gridSize * scale, gridSize * scale, gridSize * scale);
+  }
+  
+  for (const feature of map.terrain) {
+    thumbCtx.fillStyle = feature.type === 'water' ? '#3182ce' : (feature.type === 'rock' ? '#718096' : '#38a169');
+    thumbCtx.beginPath();
+    thumbCtx.arc(feature.x * scale, feature.y * scale, Math.max(2, feature.size * scale), 0, Math.PI * 2);
+    thumbCtx.fill();
+  }
+  
+  thumbCtx.strokeStyle = '#a0aec0';
+  thumbCtx.lineWidth = Math.max(2, 36 * scale);
+  thumbCtx.lineCap = 'round';
+  thumbCtx.lineJoin = 'round';
+  for (const route of map.paths) {
+    thumbCtx.beginPath();
+    thumbCtx.moveTo(route[0].x * scale, route[0].y * scale);
+    for (let i = 1; i < route.length; i++) {
+      thumbCtx.lineTo(route[i].x * scale, route[i].y * scale);
+    }
+    thumbCtx.stroke();
+  }
+}
+
+// Emergency state recovery mechanism
+function createRestartButton() {
+  const restartContainer = document.createElement('div');
+  restartContainer.id = 'restart-container';
+  restartContainer.style.cssText = `
+    position: absolute;
+    top: 10px;
+    right: 10px;
+    z-index: 100;
+  `;
+  
+  const restartButton = document.createElement('button');
+  restartButton.id = 'persistent-restart';
+  restartButton.textContent = 'Restart Game';
+  restartButton.style.cssText = `
+    background-color: #2d3748;
+    color: white;
+    border: 1px solid #4a5568;
+    border-radius: 4px;
+    padding: 8px 16px;
+    cursor: pointer;
+    font-size: 14px;
+    transition: all 0.2s ease;
+  `;
+  
+  // Hover effect
+  restartButton.addEventListener('mouseover', () => {
+    restartButton.style.backgroundColor = '#4a5568';
+  });
+  
+  restartButton.addEventListener('mouseout', () => {
+    restartButton.style.backgroundColor = '#2d3748';
+  });
+  
+  // Restart functionality
+  restartButton.addEventListener('click', () => {
+    if (confirm('Are you sure you want to restart the game? Your run is saved and can be continued from the menu.')) {
+      audioSystem.playSound('upgrade');
+      saveSystem.save();
+      resetGame();
+      gameState.gameScreen = 'mainMenu';
+      createMainMenu();
+      uiElements.startScreen.style.display = 'flex';
+    }
+  });
+  
+  restartContainer.appendChild(restartButton);
+  document.getElementById('game-container').appendChild(restartContainer);
+}
+
+// Instructional interface component
+function showHowToPlay() {
+  gameState.gameScreen = 'howToPlay';
+  
+  // Clear existing content
+  uiElements.startScreen.innerHTML = '';
+  
+  // Create how to play content
+  const container = document.createElement('div');
+  container.className = 'how-to-play-container';
+  
+  const title = document.createElement('h2');
+  title.textContent = 'How To Play';
+  
+  const instructions = document.createElement('ul');
+  
+  // Preparation lengths come from the difficulty presets so the text follows any rebalance
+  const preparationTimes = Object.values(difficultyModes)
+    .map(preset => `${preset.preparationTime}s on ${preset.name}`)
+    .join(', ');
+  
+  const instructionsList = [
+    `A preparation phase comes before the first wave (${preparationTimes})`,
+    'Choose a map after pressing Start Game; some maps have more than one enemy path',
+    'Select a tower from the menu at the bottom',
+    'Click on the map to place your tower (avoid the path)',
+    'Towers automatically attack enemies in range',
+    'Frost Towers slow enemies; Venom Tower poison stacks with every hit and Airstrikes leave survivors burning',
+    'Armor blunts physical and explosive hits; magic and piercing damage go straight through',
+    'Flying enemies cut straight across the map; Cannon, Bomber and Frost Towers cannot hit them',
+    'Splitters burst into fast enemies when destroyed, so keep firepower behind your front line',
+    'Bosses arrive every fifth wave and summon minions, raise shields, heal allies and sprint',
+    'Click a placed tower to upgrade it (U) or sell it (S) for a partial refund',
+    'Press T on a selected tower to cycle its targeting priority',
+    'Press P or Escape to pause and resume the game',
+    'Press F to fast-forward at 2x or 3x speed',
+    'Press 1 and 2 then click the map for an Airstrike or Freeze; 3 (Overdrive) and 4 (Gold Rush) work instantly. Each has a cooldown',
+    'Press N to call the next wave early for bonus gold; once a wave has fully arrived you can call the next one on top of it, forfeiting its clear bonus',
+    'Export a replay of your run and load it from the menu to watch it again',
+    'Finished runs are scored and kept on the Records screen with your lifetime statistics',
+    'Every finished run earns research from waves survived and kills; spend it on permanent perks under Research',
+    'Unlock achievements for feats like sniper criticals and huge bomber blasts; browse them from the menu',
+    'Defeat enemies to earn money for more towers',
+    'Unspent gold earns interest each time you clear a wave, up to a cap set by the difficulty or map',
+    'Enemies that reach the end cost lives (bosses cost more); the run ends at zero',
+    'Pick Easy, Normal, Hard or Custom on the map screen to set lives, money and enemy strength',
+    'Each wave gets progressively more difficult',
+    'New tower types unlock as you progress through waves'
+  ];
+  
+  instructionsList.forEach(text => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    instructions.appendChild(li);
+  });
+  
+  const backButton = document.createElement('button');
+  backButton.className = 'menu-button back-button';
+  backButton.textContent = 'Back to Menu';
+  backButton.addEventListener('click', () => {
+    audioSystem.playSound('hit', { volume: 0.5 });
+    gameState.gameScreen = 'mainMenu';
+    createMainMenu();
+  });
+  
+  container.appendChild(title);
+  container.appendChild(instructions);
+  container.appendChild(backButton);
+  
+  uiElements.startScreen.appendChild(container);
+}
+
+// High-score table and lifetime statistics from finished runs
+function showRecords() {
+  gameState.gameScreen = 'records';
+  uiElements.startScreen.innerHTML = '';
+  
+  const records = recordsSystem.load();
+  const lifetime = records.lifetime;
+  
+  const container = document.createElement('div');
+  container.className = 'how-to-play-container records-container';
+  
+  const title = document.createElement('h2');
+  title.textContent = 'Records';
+  container.appendChild(title);
+  
+  // Best runs first
+  const table = document.createElement('table');
+  table.className = 'records-table';
+  const header = document.createElement('tr');
+  ['#', 'Score', 'Wave', 'Map', 'Difficulty', 'Date'].forEach(text => {
+    const cell = document.createElement('th');
+    cell.textContent = text;
+    header.appendChild(cell);
+  });
+  table.appendChild(header);
+  
+  records.highScores.forEach((entry, index) => {
+    const row = document.createElement('tr');
+    [
+      index + 1,
+      entry.score,
+      entry.wave,
+      entry.map,
+      entry.difficulty,
+      new Date(entry.date).toLocaleDateString()
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    table.appendChild(row);
+  });
+  
+  if (records.highScores.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'records-empty';
+    empty.textContent = 'No finished runs yet.';
+    container.appendChild(empty);
+  } else {
+    container.appendChild(table);
+  }
+  
+  // Lifetime totals, then per-type breakdowns
+  const statsTitle = document.createElement('h3');
+  statsTitle.textContent = 'Lifetime Statistics';
+  container.appendChild(statsTitle);
+  
+  const totalKills = Object.values(lifetime.enemiesKilled).reduce((sum, count) => sum + count, 0);
+  const totalTowers = Object.values(lifetime.towersBuilt).reduce((sum, count) => sum + count, 0);
+  const summary = document.createElement('ul');
+  summary.className = 'records-stats';
+  [
+    `Runs finished: ${lifetime.runs}`,
+    `Play time: ${formatPlayTime(lifetime.playTime)}`,
+    `Gold earned: ${lifetime.goldEarned}`,
+    `Enemies killed: ${totalKills}`,
+    `Towers built: ${totalTowers}`
+  ].forEach(text => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    summary.appendChild(li);
+  });
+  container.appendChild(summary);
+  
+  const breakdowns = document.createElement('div');
+  breakdowns.className = 'records-breakdowns';
+  breakdowns.appendChild(createRecordsBreakdown('Kills by enemy', lifetime.enemiesKilled,
+    type => type.charAt(0).toUpperCase() + type.slice(1)));
+  breakdowns.appendChild(createRecordsBreakdown('Towers by type', lifetime.towersBuilt,
+    type => towerTypes[type] ? towerTypes[type].name : type));
+  container.appendChild(breakdowns);
+  
+  const clearButton = document.createElement('button');
+  clearButton.id = 'clear-records-btn';
+  clearButton.className = 'menu-button back-button';
+  clearButton.textContent = 'Clear Records';
+  clearButton.disabled = lifetime.runs === 0;
+  clearButton.addEventListener('click', () => {
+    if (confirm('Clear all high scores and lifetime statistics?')) {
+      recordsSystem.clear();
+      showRecords();
+    }
+  });
+  
+  const backButton = document.createElement('button');
+  backButton.className = 'menu-button back-button';
+  backButton.textContent = 'Back to Menu';
+  backButton.addEventListener('click', () => {
+    audioSystem.playSound('hit', { volume: 0.5 });
+    gameState.gameScreen = 'mainMenu';
+    createMainMenu();
+  });
+  
+  const actions = document.createElement('div');
+  actions.className = 'records-actions';
+  actions.appendChild(clearButton);
+  actions.appendChild(backButton);
+  container.appendChild(actions);
+  
+  uiElements.startScreen.appendChild(container);
+  
+  if (!document.getElementById('records-style')) {
+    const style = document.createElement('style');
+    style.id = 'records-style';
+    style.textContent = `
+      .records-container {
+        max-height: 560px;
+        overflow-y: auto;
+      }
+      
+      .records-table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 14px;
+      }
+      
+      .records-table th,
+      .records-table td {
+        padding: 4px 8px;
+        text-align: left;
+        border-bottom: 1px solid #4a5568;
+      }
+      
+      .records-table th {
+        color: #a0aec0;
+      }
+      
+      .records-empty {
+        color: #a0aec0;
+      }
+      
+      .records-stats {
+        list-style: none;
+        padding: 0;
+      }
+      
+      .records-breakdowns {
+        display: flex;
+        gap: 30px;
+        font-size: 14px;
+      }
+      
+      .records-breakdowns h4 {
+        color: #f6e05e;
+        margin: 0 0 6px;
+      }
+      
+      .records-breakdowns ul {
+        list-style: none;
+        padding: 0;
+        margin: 0;
+        color: #cbd5e0;
+      }
+      
+      .records-actions {
+        display: flex;
+        gap: 10px;
+      }
+      
+      .records-actions .menu-button:disabled {
+        opacity: 0.5;
+        cursor: default;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// Achievement catalog with unlock state
+function showAchievements() {
+  gameState.gameScreen = 'achievements';
   uiElements.startScreen.innerHTML = '';
+  achievementSystem.injectStyles();
   
-  // Create main menu elements
-  const title = document.createElement('h1');
-  title.textContent = 'Tower Defense';
-  title.className = 'game-title';
+  const ids = Object.keys(achievementDefinitions);
+  const unlockedCount = ids.filter(id => achievementSystem.isUnlocked(id)).length;
   
-  const buttonContainer = document.createElement('div');
-  buttonContainer.className = 'menu-buttons';
+  const container = document.createElement('div');
+  container.className = 'how-to-play-container';
   
-  const startGameBtn = document.createElement('button');
-  startGameBtn.id = 'start-game-btn';
-  startGameBtn.textContent = 'Start Game';
-  startGameBtn.className = 'menu-button';
-  startGameBtn.addEventListener('click', startGame);
+  const title = document.createElement('h2');
+  title.textContent = `Achievements (${unlockedCount}/${ids.length})`;
+  container.appendChild(title);
   
-  const howToPlayBtn = document.createElement('button');
-  howToPlayBtn.id = 'how-to-play-btn';
-  howToPlayBtn.textContent = 'How To Play';
-  howToPlayBtn.className = 'menu-button';
-  howToPlayBtn.addEventListener('click', showHowToPlay);
+  const list = document.createElement('div');
+  list.className = 'achievement-list';
+  ids.forEach(id => {
+    const definition = achievementDefinitions[id];
+    const unlockedAt = achievementSystem.load()[id];
+    
+    const card = document.createElement('div');
+    card.id = `achievement-${id}`;
+    card.className = unlockedAt ? 'achievement-card unlocked' : 'achievement-card';
+    
+    const name = document.createElement('div');
+    name.className = 'achievement-toast-name';
+    name.textContent = unlockedAt ? definition.name : `${definition.name} (locked)`;
+    
+    const description = document.createElement('div');
+    description.className = 'achievement-card-description';
+    description.textContent = unlockedAt
+      ? `${definition.description} · ${new Date(unlockedAt).toLocaleDateString()}`
+      : definition.description;
+    
+    card.appendChild(name);
+    card.appendChild(description);
+    list.appendChild(card);
+  });
+  container.appendChild(list);
   
-  // Assemble menu
-  buttonContainer.appendChild(startGameBtn);
-  buttonContainer.appendChild(howToPlayBtn);
+  const backButton = document.createElement('button');
+  backButton.className = 'menu-button back-button';
+  backButton.textContent = 'Back to Menu';
+  backButton.addEventListener('click', () => {
+    audioSystem.playSound('hit', { volume: 0.5 });
+    gameState.gameScreen = 'mainMenu';
+    createMainMenu();
+  });
+  container.appendChild(backButton);
   
-  uiElements.startScreen.appendChild(title);
-  uiElements.startScreen.appendChild(buttonContainer);
+  uiElements.startScreen.appendChild(container);
+}
+
+// Tech tree: general perks, then a discount-first branch per tower type
+function showResearch() {
+  gameState.gameScreen = 'research';
+  uiElements.startScreen.innerHTML = '';
   
-  // Add CSS for menu styling
-  const style = document.createElement('style');
-  style.textContent = `
-    .game-title {
-      font-size: 48px;
-      color: #fff;
-      text-shadow: 0 0 10px rgba(255, 255, 255, 0.5);
-      margin-bottom: 30px;
+  const progress = researchSystem.load();
+  
+  const container = document.createElement('div');
+  container.className = 'how-to-play-container research-container';
+  
+  const title = document.createElement('h2');
+  title.textContent = 'Research';
+  container.appendChild(title);
+  
+  const points = document.createElement('div');
+  points.id = 'research-points';
+  points.className = 'research-points';
+  points.textContent = `${progress.points} research available`;
+  container.appendChild(points);
+  
+  // One purchase button per perk, showing its level and next price or blocker
+  const createPerkButton = (id, label) => {
+    const definition = researchSystem.getDefinition(id);
+    const level = progress.perks[id] || 0;
+    const blocker = researchSystem.getBlocker(id, progress);
+    
+    const button = document.createElement('button');
+    button.id = `research-${id.replace(':', '-')}`;
+    button.className = 'research-perk';
+    button.disabled = Boolean(blocker);
+    button.title = definition.description;
+    button.innerHTML = `
+      <div class="research-perk-name">${label || definition.name} ${level}/${researchSystem.getMaxLevel(id)}</div>
+      <div class="research-perk-detail">${blocker || `${definition.description} · ${researchSystem.getCost(id, progress.perks)} pts`}</div>
+    `;
+    button.addEventListener('click', () => {
+      if (researchSystem.purchase(id)) {
+        audioSystem.playSound('upgrade', { volume: 0.6 });
+        showResearch();
+      }
+    });
+    return button;
+  };
+  
+  const general = document.createElement('div');
+  general.className = 'research-row';
+  Object.keys(researchPerks).forEach(id => general.appendChild(createPerkButton(id)));
+  container.appendChild(general);
+  
+  Object.entries(towerTypes).forEach(([type, data]) => {
+    const row = document.createElement('div');
+    row.className = 'research-row';
+    
+    const name = document.createElement('div');
+    name.className = 'research-tower-name';
+    name.textContent = data.name;
+    name.style.color = data.color;
+    row.appendChild(name);
+    
+    Object.keys(towerResearchPerks).forEach(kind => {
+      const id = `${type}:${kind}`;
+      if (researchSystem.getMaxLevel(id) > 0) {
+        row.appendChild(createPerkButton(id));
+      }
+    });
+    container.appendChild(row);
+  });
+  
+  // Wipes currency and every perk
+  const resetButton = document.createElement('button');
+  resetButton.id = 'reset-research-btn';
+  resetButton.className = 'menu-button back-button';
+  resetButton.textContent = 'Reset Progress';
+  resetButton.addEventListener('click', () => {
+    if (confirm('Reset all research points and perks? This cannot be undone.')) {
+      researchSystem.reset();
+      showResearch();
+    }
+  });
+  
+  const backButton = document.createElement('button');
+  backButton.className = 'menu-button back-button';
+  backButton.textContent = 'Back to Menu';
+  backButton.addEventListener('click', () => {
+    audioSystem.playSound('hit', { volume: 0.5 });
+    gameState.gameScreen = 'mainMenu';
+    createMainMenu();
+  });
+  
+  const actions = document.createElement('div');
+  actions.className = 'records-actions';
+  actions.appendChild(resetButton);
+  actions.appendChild(backButton);
+  container.appendChild(actions);
+  
+  uiElements.startScreen.appendChild(container);
+  
+  if (!document.getElementById('research-style')) {
+    const style = document.createElement('style');
+    style.id = 'research-style';
+    style.textContent = `
+      .research-container {
+        max-width: 720px;
+        max-height: 560px;
+        overflow-y: auto;
+      }
+      
+      .research-points {
+        color: #90cdf4;
+        margin-bottom: 10px;
+      }
+      
+      .research-row {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-bottom: 8px;
+      }
+      
+      .research-tower-name {
+        width: 110px;
+        font-weight: bold;
+        font-size: 14px;
+      }
+      
+      .research-perk {
+        width: 180px;
+        padding: 6px 8px;
+        background-color: #2d3748;
+        color: white;
+        border: 1px solid #4a5568;
+        border-radius: 4px;
+        cursor: pointer;
+        text-align: left;
+      }
+      
+      .research-perk:hover:not(:disabled) {
+        border-color: #90cdf4;
+      }
+      
+      .research-perk:disabled {
+        opacity: 0.55;
+        cursor: default;
+      }
+      
+      .research-perk-name {
+        font-size: 13px;
+        font-weight: bold;
+      }
+      
+      .research-perk-detail {
+        font-size: 11px;
+        color: #a0aec0;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// Titled per-type count list, most frequent first
+function createRecordsBreakdown(heading, counts, formatName) {
+  const section = document.createElement('div');
+  
+  const title = document.createElement('h4');
+  title.textContent = heading;
+  section.appendChild(title);
+  
+  const list = document.createElement('ul');
+  const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  if (entries.length === 0) {
+    const li = document.createElement('li');
+    li.textContent = 'None yet';
+    list.appendChild(li);
+  }
+  entries.forEach(([type, count]) => {
+    const li = document.createElement('li');
+    li.textContent = `${formatName(type)}: ${count}`;
+    list.appendChild(li);
+  });
+  section.appendChild(list);
+  
+  return section;
+}
+
+// Milliseconds to an hours and minutes summary
+function formatPlayTime(milliseconds) {
+  const totalMinutes = Math.floor(milliseconds / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  return hours > 0 ? `${hours}h ${totalMinutes % 60}m` : `${totalMinutes}m`;
+}
+
+// Event registration system
+function setupEventListeners() {
+  canvas.addEventListener('click', handleCanvasClick);
+  canvas.addEventListener('mousemove', (event) => {
+    const rect = canvas.getBoundingClientRect();
+    gameState.mouseX = event.clientX - rect.left;
+    gameState.mouseY = event.clientY - rect.top;
+    
+    if (gameState.gameScreen === 'editor') {
+      mapEditor.handleMouseMove(event);
+    }
+  });
+  
+  // Map editor pointer interactions
+  canvas.addEventListener('mousedown', (event) => {
+    if (gameState.gameScreen === 'editor') {
+      mapEditor.handleMouseDown(event);
+    }
+  });
+  
+  window.addEventListener('mouseup', () => {
+    if (gameState.gameScreen === 'editor') {
+      mapEditor.handleMouseUp();
+    }
+  });
+  
+  canvas.addEventListener('contextmenu', (event) => {
+    if (gameState.gameScreen === 'editor') {
+      event.preventDefault();
+    }
+  });
+  
+  // Persist the active run when the page is closed
+  window.addEventListener('pagehide', () => {
+    saveSystem.save();
+  });
+  
+  // Automatic pause when the tab loses visibility
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      setPaused(true);
+    }
+  });
+  
+  // Keyboard shortcuts
+  document.addEventListener('keydown', (event) => {
+    if (!gameState.isPlaying) return;
+    
+    // Keystrokes typed into form fields are text, not commands
+    const tagName = event.target && event.target.tagName ? event.target.tagName.toLowerCase() : '';
+    if (tagName === 'input' || tagName === 'select' || tagName === 'textarea') return;
+    
+    const key = event.key.toLowerCase();
+    if (key === 'p' || key === 'escape') {
+      if (replaySystem.isPlayback()) {
+        replaySystem.togglePlayback();
+      } else {
+        togglePause();
+      }
+      return;
+    }
+    
+    if (key === 'f') {
+      cycleGameSpeed();
+      return;
     }
     
-    .menu-buttons {
-      display: flex;
-      flex-direction: column;
-      gap: 15px;
+    if (key === 'n') {
+      if (!replaySystem.isPlayback()) callNextWave();
+      return;
+    }
+    
+    const abilityIndex = abilityKeys.indexOf(key);
+    if (abilityIndex !== -1) {
+      if (!replaySystem.isPlayback()) selectAbility(Object.keys(playerAbilities)[abilityIndex]);
+      return;
+    }
+    
+    // Selected structure actions; replays only take commands from the log
+    if (!gameState.selectedPlacedTower || replaySystem.isPlayback()) return;
+    
+    if (key === 'u') {
+      upgradeTower(gameState.selectedPlacedTower);
+    } else if (key === 's' || key === 'delete') {
+      sellTower(gameState.selectedPlacedTower);
+    } else if (key === 't') {
+      cycleTargetingMode(gameState.selectedPlacedTower);
+    }
+  });
+}
+
+// Application initialization with audio system integration
+function init() {
+  // Idle rules engine backs the board behind the menus
+  simulation = createGameSimulation(generateSeed());
+  
+  repairGameInterface();
+  createMainMenu();
+  setupEventListeners();
+  updateUI();
+  
+  // Initialize audio system
+  audioSystem.initialize();
+}
+
+// Rules engine construction with presentation subscriptions
+function createGameSimulation(seed, map, difficulty, perks = {}) {
+  const instance = createSimulation({ seed, map, difficulty, towerTypes: researchSystem.applyToTowers(perks) });
+  gameState.runPerks = perks;
+  bindSimulationEvents(instance);
+  achievementSystem.track(instance);
+  return instance;
+}
+
+// Game state transition to active phase with corrected wave initialization
+function startGame(seed = generateSeed(), map = defaultMap, difficulty = resolveDifficulty('normal', map), testPlay = false) {
+  // Research perks are fixed for the whole run when it starts
+  const perks = researchSystem.getPerks();
+  simulation = createGameSimulation(seed, map, researchSystem.applyToDifficulty(difficulty, perks), perks);
+  applyMapDimensions(map);
+  seedEffectsRandom(seed);
+  replaySystem.startRecording(seed);
+  gameState.lastSeed = seed;
+  gameState.testPlay = testPlay;
+  gameState.playTime = 0;
+  gameState.isPlaying = true;
+  gameState.gameScreen = 'game';
+  gameState.paused = false;
+  
+  // Selections and fast-forward never carry over from a previous run or the menus
+  gameState.selectedTower = null;
+  gameState.selectedPlacedTower = null;
+  gameState.selectedAbility = null;
+  gameState.gameSpeed = 1;
+  updateSpeedButton();
+  updateTowerInfoPanel();
+  
+  uiElements.startScreen.style.display = 'none';
+  document.getElementById('ui-container').style.display = 'flex';
+  
+  // Start background music
+  audioSystem.startMusic();
+  audioSystem.playSound('upgrade', { volume: 0.6 });
+  
+  // Preparation phase countdown driven by game time
+  simulation.start();
+  
+  // Preparation phase notification
+  createFloatingText(
+    canvas.width / 2, 
+    canvas.height / 2 - 40, 
+    `Preparation Phase: ${simulation.state.preparationTimer} seconds`, 
+    '#48bb78'
+  );
+  
+  updateUI();
+  updatePauseButton();
+}
+
+// Saved run restoration
+function continueGame() {
+  const snapshot = saveSystem.load();
+  if (!snapshot) {
+    createMainMenu();
+    return;
+  }
+  
+  // Rules engine resumes mid-run, random streams mid-sequence
+  // Saved difficulty already includes the run's perks; tower perks are reapplied to the templates
+  simulation = createGameSimulation(snapshot.seed, snapshot.map, snapshot.difficulty, snapshot.perks || {});
+  simulation.restore(snapshot);
+  applyMapDimensions(simulation.map);
+  seedEffectsRandom(snapshot.seed);
+  gameState.effectsRng.state = snapshot.effectsRngState;
+  gameState.lastSeed = snapshot.seed;
+  gameState.testPlay = Boolean(snapshot.testPlay);
+  gameState.playTime = snapshot.playTime || 0;
+  
+  // Saves without a command log cannot be replayed from the seed
+  if (Array.isArray(snapshot.replayCommands)) {
+    replaySystem.startRecording(snapshot.seed, snapshot.replayCommands);
+  } else {
+    replaySystem.reset();
+  }
+  
+  gameState.effects = [];
+  gameState.selectedTower = null;
+  gameState.selectedPlacedTower = null;
+  gameState.selectedAbility = null;
+  
+  gameState.isPlaying = true;
+  gameState.gameScreen = 'game';
+  uiElements.startScreen.style.display = 'none';
+  document.getElementById('ui-container').style.display = 'flex';
+  
+  audioSystem.startMusic();
+  audioSystem.playSound('upgrade', { volume: 0.6 });
+  
+  updateUI();
+  updateTowerInfoPanel();
+  updateSpeedButton();
+  
+  // Resume paused so the player can reorient
+  setPaused(true);
+}
+
+// Presentation subscriptions: audio, particles and interface feedback for simulation events
+function bindSimulationEvents(sim) {
+  sim.on('towerPlaced', ({ tower }) => {
+    // Placement audio feedback
+    audioSystem.playSound('place', { volume: 0.6 });
+    
+    // Placement visual feedback
+    for (let i = 0; i < 8; i++) {
+      const angle = Math.PI * 2 * (i / 8);
+      gameState.effects.push({
+        type: 'particle',
+        x: tower.x,
+        y: tower.y,
+        radius: 4,
+        color: tower.color,
+        velocity: {
+          x: Math.cos(angle) * 2,
+          y: Math.sin(angle) * 2
+        },
+        alpha: 1,
+        lifetime: 30
+      });
     }
     
-    .menu-button {
-      padding: 12px 24px;
-      font-size: 18px;
-      background-color: #2d3748;
-      color: white;
-      border: 2px solid #4a5568;
-      border-radius: 4px;
-      cursor: pointer;
-      transition: all 0.2s ease;
-      min-width: 200px;
-      text-align: center;
-    }
+    updateUI();
+  });
+  
+  sim.on('towerUpgraded', ({ tower }) => {
+    // Upgrade audio feedback
+    audioSystem.playSound('upgrade', { volume: 0.6 });
     
-    .menu-button:hover {
-      background-color: #4a5568;
-      transform: translateY(-2px);
-      box-shadow: 0 4px 6px rgba(0,0,0,0.2);
+    // Upgrade visual feedback
+    for (let i = 0; i < 12; i++) {
+      const angle = Math.PI * 2 * (i / 12);
+      gameState.effects.push({
+        type: 'particle',
+        x: tower.x,
+        y: tower.y,
+        radius: 3,
+        color: '#f6e05e',
+        velocity: {
+          x: Math.cos(angle) * 1.5,
+          y: Math.sin(angle) * 1.5 - 1
+        },
+        alpha: 1,
+        lifetime: 30
+      });
     }
     
-    .how-to-play-container {
-      background-color: rgba(0, 0, 0, 0.8);
-      padding: 20px;
-      border-radius: 8px;
-      max-width: 600px;
-      color: white;
-      margin: 0 auto;
+    createFloatingText(tower.x, tower.y - 30, `Level ${tower.level}!`, '#f6e05e');
+    updateUI();
+  });
+  
+  sim.on('towerSold', ({ tower, refund }) => {
+    if (gameState.selectedPlacedTower === tower) {
+      selectPlacedTower(null);
     }
     
-    .how-to-play-container h2 {
-      color: #48bb78;
-      margin-bottom: 15px;
-    }
+    // Sale audio feedback
+    audioSystem.playSound('coin', { volume: 0.6 });
     
-    .how-to-play-container ul {
-      text-align: left;
-      margin-bottom: 20px;
+    // Dismantling visual feedback
+    for (let i = 0; i < 10; i++) {
+      const angle = Math.PI * 2 * (i / 10);
+      gameState.effects.push({
+        type: 'particle',
+        x: tower.x,
+        y: tower.y,
+        radius: 3,
+        color: '#a0aec0',
+        velocity: {
+          x: Math.cos(angle) * 2,
+          y: Math.sin(angle) * 2
+        },
+        alpha: 1,
+        lifetime: 25
+      });
     }
     
-    .how-to-play-container li {
-      margin-bottom: 8px;
+    createFloatingText(tower.x, tower.y - 30, `+${refund} gold!`, '#f6e05e');
+    updateUI();
+  });
+  
+  sim.on('targetingChanged', ({ tower }) => {
+    audioSystem.playSound('hit', { volume: 0.3 });
+    createFloatingText(tower.x, tower.y - 30, `Target: ${targetingModes[tower.targetingMode]}`, '#90cdf4');
+    updateTowerInfoPanel();
+  });
+  
+  // Visual and auditory feedback for refused commands
+  sim.on('actionRejected', ({ reason, x, y, unlockWave, readyIn }) => {
+    const messages = {
+      insufficientFunds: ['Not enough money!', '#ef4444'],
+      maxLevel: ['Max level!', '#a0aec0'],
+      locked: [`Unlocks at wave ${unlockWave}`, '#ef4444'],
+      invalidPosition: ['Invalid position!', '#ef4444'],
+      waveSpawning: ['Wave still arriving!', '#ef4444'],
+      abilityCooldown: [`Ready in ${Math.ceil(readyIn / 1000)}s`, '#a0aec0']
+    };
+    const [text, color] = messages[reason] || ['Not allowed!', '#ef4444'];
+    
+    // Wave commands have no map position
+    if (x === undefined) {
+      createFloatingText(canvas.width / 2, canvas.height / 2 + 80, text, color);
+    } else {
+      createFloatingText(x, y - 30, text, color);
+    }
+    audioSystem.playSound('hit', { volume: 0.2 });
+  });
+  
+  sim.on('towerUnlocked', ({ towerType, initial }) => {
+    // Notification for newly unlocked tower
+    if (!initial) {
+      audioSystem.playSound('upgrade');
+      createFloatingText(
+        canvas.width / 2,
+        canvas.height / 2 - 50,
+        `New Tower Unlocked: ${sim.towerTypes[towerType].name}!`,
+        '#f6e05e'
+      );
+    }
+  });
+  
+  // Periodic countdown notifications
+  sim.on('countdownTick', ({ type, remaining }) => {
+    if (type === 'preparation') {
+      createFloatingText(
+        canvas.width / 2, 
+        canvas.height / 2, 
+        `Wave ${sim.state.wave} in: ${remaining}s`, 
+        '#ffffff'
+      );
+    } else if (remaining % 2 === 0 || remaining <= 3) {
+      createFloatingText(
+        canvas.width / 2,
+        canvas.height / 2 + 40,
+        `Next wave in ${remaining}...`,
+        '#ffffff'
+      );
     }
+  });
+  
+  sim.on('waveStarted', () => {
+    audioSystem.playSound('wave');
+    updateUI();
+  });
+  
+  sim.on('waveCalled', ({ wave, bonus, duringWave }) => {
+    audioSystem.playSound('coin', { volume: 0.6 });
+    createFloatingText(
+      canvas.width / 2,
+      canvas.height / 2 + 40,
+      `Wave ${wave} called early! +${bonus} gold`,
+      duringWave ? '#f6ad55' : '#f6e05e'
+    );
+    updateUI();
+  });
+  
+  sim.on('waveCompleted', ({ wave, interest }) => {
+    // Wave completion notification with audio feedback
+    audioSystem.playSound('wave-complete');
+    createFloatingText(
+      canvas.width / 2, 
+      canvas.height / 2 - 40, 
+      `Wave ${wave} Complete!`, 
+      '#48bb78'
+    );
     
-    .back-button {
-      background-color: #4a5568;
-      margin-top: 20px;
+    // Banking summary line under the headline
+    if (sim.state.interestRate > 0) {
+      const capped = interest >= sim.state.interestCap ? ' (max)' : '';
+      createFloatingText(
+        canvas.width / 2,
+        canvas.height / 2 - 15,
+        `Interest: +${interest} gold at ${formatPercent(sim.state.interestRate)}${capped}`,
+        '#f6e05e'
+      );
     }
-  `;
-  document.head.appendChild(style);
-}
-
-// Emergency state recovery mechanism
-function createRestartButton() {
-  const restartContainer = document.createElement('div');
-  restartContainer.id = 'restart-container';
-  restartContainer.style.cssText = `
-    position: absolute;
-    top: 10px;
-    right: 10px;
-    z-index: 100;
-  `;
+    
+    // Autosave at the wave boundary once the tick finishes
+    gameState.autosavePending = true;
+  });
   
-  const restartButton = document.createElement('button');
-  restartButton.id = 'persistent-restart';
-  restartButton.textContent = 'Restart Game';
-  restartButton.style.cssText = `
-    background-color: #2d3748;
-    color: white;
-    border: 1px solid #4a5568;
-    border-radius: 4px;
-    padding: 8px 16px;
-    cursor: pointer;
-    font-size: 14px;
-    transition: all 0.2s ease;
-  `;
+  sim.on('bonusAwarded', ({ amount, interest }) => {
+    audioSystem.playSound('coin', { volume: 0.7 });
+    createFloatingText(
+      canvas.width / 2,
+      canvas.height / 2,
+      `+${amount + interest} gold!`,
+      '#f6e05e'
+    );
+    updateUI();
+  });
   
-  // Hover effect
-  restartButton.addEventListener('mouseover', () => {
-    restartButton.style.backgroundColor = '#4a5568';
+  sim.on('enemyBreached', ({ enemy, livesLost }) => {
+    // Enhanced visual and audio feedback for breach
+    audioSystem.playSound('game-over', { volume: 0.5 });
+    
+    for (let j = 0; j < 20; j++) {
+      const angle = Math.PI * 2 * (j / 20);
+      const speed = 2 + Math.random() * 3;
+      gameState.effects.push({
+        type: 'particle',
+        x: enemy.x,
+        y: enemy.y,
+        radius: 5,
+        color: '#ef4444',
+        velocity: {
+          x: Math.cos(angle) * speed,
+          y: Math.sin(angle) * speed
+        },
+        alpha: 1,
+        lifetime: 60
+      });
+    }
+    
+    createFloatingText(enemy.x, enemy.y - 30, `BREACH! -${livesLost} ${livesLost === 1 ? 'life' : 'lives'}`, '#ef4444');
+    updateUI();
   });
   
-  restartButton.addEventListener('mouseout', () => {
-    restartButton.style.backgroundColor = '#2d3748';
+  sim.on('gameOver', ({ reason }) => {
+    if (replaySystem.isPlayback()) {
+      replaySystem.finish(reason);
+    } else {
+      gameOver(reason);
+    }
   });
   
-  // Restart functionality
-  restartButton.addEventListener('click', () => {
-    if (confirm('Are you sure you want to restart the game?')) {
-      audioSystem.playSound('upgrade');
-      resetGame();
-      gameState.gameScreen = 'mainMenu';
-      createMainMenu();
-      uiElements.startScreen.style.display = 'flex';
+  sim.on('towerFired', ({ tower, target }) => {
+    // Type-specific launch feedback
+    if (tower.type === 'sniper') {
+      audioSystem.playSound('shoot', { 
+        volume: 0.7, 
+        rateVariation: 0.05 
+      });
+      
+      // Laser effect
+      const targetDistance = Math.sqrt((target.x - tower.x) ** 2 + (target.y - tower.y) ** 2);
+      for (let dist = 10; dist <= targetDistance; dist += 10) {
+        gameState.effects.push({
+          type: 'particle',
+          x: tower.x + Math.cos(tower.angle) * dist,
+          y: tower.y + Math.sin(tower.angle) * dist,
+          radius: 1,
+          color: '#c6f6d5',
+          velocity: { x: 0, y: 0 },
+          alpha: 0.7,
+          lifetime: 5
+        });
+      }
+    } else if (tower.type === 'bomber') {
+      audioSystem.playSound('shoot', { 
+        volume: 0.6, 
+        rateVariation: 0.1 
+      });
+      
+      // Launch smoke effect
+      const spawnX = tower.x + Math.cos(tower.angle) * tower.barrelLength;
+      const spawnY = tower.y + Math.sin(tower.angle) * tower.barrelLength;
+      for (let i = 0; i < 5; i++) {
+        const smokeAngle = tower.angle + Math.PI + (Math.random() * 0.5 - 0.25);
+        gameState.effects.push({
+          type: 'particle',
+          x: spawnX,
+          y: spawnY,
+          radius: 3 + Math.random() * 3,
+          color: 'rgba(160, 174, 192, 0.8)',
+          velocity: {
+            x: Math.cos(smokeAngle) * (1 + Math.random()),
+            y: Math.sin(smokeAngle) * (1 + Math.random())
+          },
+          alpha: 0.7,
+          lifetime: 10 + Math.random() * 10
+        });
+      }
+    } else if (tower.type === 'magic') {
+      audioSystem.playSound('shoot', { 
+        volume: 0.5, 
+        rateVariation: 0.2 
+      });
+    } else {
+      audioSystem.playSound('shoot', { 
+        volume: 0.4, 
+        rateVariation: 0.1 
+      });
     }
   });
   
-  restartContainer.appendChild(restartButton);
-  document.getElementById('game-container').appendChild(restartContainer);
-}
-
-// Instructional interface component
-function showHowToPlay() {
-  gameState.gameScreen = 'howToPlay';
+  sim.on('enemyDamaged', ({ enemy, damage, rawDamage, absorbed, resisted, source, critical, projectile }) => {
+    // Explosion primaries are covered by the blast effect
+    if (source === 'explosion') return;
+    
+    if (source === 'laser') {
+      // Sniper impact effect
+      for (let j = 0; j < 8; j++) {
+        const angle = Math.random() * Math.PI * 2;
+        const speed = 2 + Math.random() * 2;
+        
+        gameState.effects.push({
+          type: 'particle',
+          x: enemy.x,
+          y: enemy.y,
+          radius: 2,
+          color: '#c6f6d5',
+          velocity: {
+            x: Math.cos(angle) * speed,
+            y: Math.sin(angle) * speed
+          },
+          alpha: 1,
+          lifetime: 15
+        });
+      }
+      
+      // Critical hit sound
+      if (critical) {
+        audioSystem.playSound('critical', { volume: 0.6 });
+      }
+    } else if (source === 'projectile') {
+      // Standard impact with audio feedback
+      audioSystem.playSound('hit', { 
+        volume: 0.4, 
+        rateVariation: 0.2 
+      });
+      
+      for (let j = 0; j < 6; j++) {
+        const angle = Math.random() * Math.PI * 2;
+        const speed = 1 + Math.random() * 2;
+        
+        gameState.effects.push({
+          type: 'particle',
+          x: enemy.x,
+          y: enemy.y,
+          radius: 3,
+          color: projectile.color,
+          velocity: {
+            x: Math.cos(angle) * speed,
+            y: Math.sin(angle) * speed
+          },
+          alpha: 1,
+          lifetime: 15
+        });
+      }
+    }
+    
+    // Damage text, tinted for damage-over-time ticks and marked for armor or resistance
+    const statusStyle = statusEffectStyles[source];
+    let damageText = critical ? `CRITICAL! -${damage}` : `-${damage}`;
+    let damageColor = critical ? '#f6e05e' : (statusStyle ? statusStyle.color : '#ff9999');
+    if (absorbed > 0 && damage === 0) {
+      damageText = 'Shielded';
+      damageColor = '#90cdf4';
+    } else if (resisted) {
+      damageText += ' (resisted)';
+      damageColor = '#a0aec0';
+    } else if (damage > rawDamage) {
+      damageText += '!';
+      damageColor = '#fbd38d';
+    }
+    
+    createFloatingText(enemy.x, enemy.y - 20, damageText, damageColor);
+  });
   
-  // Clear existing content
-  uiElements.startScreen.innerHTML = '';
+  sim.on('enemySpawned', ({ enemy }) => {
+    if (!enemy.boss) return;
+    
+    // Boss entrance announcement
+    audioSystem.playSound('wave', { volume: 0.9 });
+    gameState.effects.push({
+      type: 'banner',
+      text: 'A BOSS APPROACHES!',
+      color: '#fc8181',
+      lifetime: 150
+    });
+  });
   
-  // Create how to play content
-  const container = document.createElement('div');
-  container.className = 'how-to-play-container';
+  sim.on('enemySplit', ({ enemy, children }) => {
+    // Shell fragments flung outward as the children break free
+    for (let j = 0; j < 10; j++) {
+      const angle = Math.PI * 2 * (j / 10);
+      gameState.effects.push({
+        type: 'particle',
+        x: enemy.x,
+        y: enemy.y,
+        radius: 3,
+        color: enemy.color,
+        velocity: {
+          x: Math.cos(angle) * 2.5,
+          y: Math.sin(angle) * 2.5
+        },
+        alpha: 0.9,
+        lifetime: 14
+      });
+    }
+    createFloatingText(enemy.x, enemy.y - 30, `Split x${children.length}!`, enemy.color);
+  });
   
-  const title = document.createElement('h2');
-  title.textContent = 'How To Play';
+  // Player abilities; the airstrike's blast arrives as an explosion event
+  sim.on('abilityCast', ({ ability, x, y, affected }) => {
+    const color = abilityStyles[ability].color;
+    
+    if (ability === 'freeze') {
+      audioSystem.playSound('upgrade', { volume: 0.5 });
+      gameState.effects.push({
+        type: 'explosion',
+        x,
+        y,
+        radius: 5,
+        maxRadius: playerAbilities.freeze.radius,
+        color,
+        alpha: 0.8,
+        lifetime: 25
+      });
+      createFloatingText(x, y - 20, affected.length ? `Frozen x${affected.length}` : 'Freeze', color);
+    } else if (ability !== 'airstrike') {
+      audioSystem.playSound('upgrade', { volume: 0.6 });
+      createFloatingText(canvas.width / 2, canvas.height / 2 - 80, `${playerAbilities[ability].name}!`, color);
+    }
+  });
   
-  const instructions = document.createElement('ul');
+  sim.on('abilityUsed', ({ enemy, ability, minions, healed, radius }) => {
+    if (ability === 'summon') {
+      // Summoning portal around each new minion
+      for (const minion of minions) {
+        for (let j = 0; j < 10; j++) {
+          const angle = Math.PI * 2 * (j / 10);
+          gameState.effects.push({
+            type: 'particle',
+            x: minion.x + Math.cos(angle) * 14,
+            y: minion.y + Math.sin(angle) * 14,
+            radius: 2,
+            color: '#d6bcfa',
+            velocity: { x: -Math.cos(angle) * 0.8, y: -Math.sin(angle) * 0.8 },
+            alpha: 0.9,
+            lifetime: 18
+          });
+        }
+      }
+      createFloatingText(enemy.x, enemy.y - 30, 'Summon!', '#d6bcfa');
+    } else if (ability === 'shield') {
+      audioSystem.playSound('upgrade', { volume: 0.4 });
+      createFloatingText(enemy.x, enemy.y - 30, 'Shield!', '#90cdf4');
+    } else if (ability === 'heal') {
+      // Expanding healing ring
+      gameState.effects.push({
+        type: 'explosion',
+        x: enemy.x,
+        y: enemy.y,
+        radius: 5,
+        maxRadius: radius,
+        color: '#68d391',
+        alpha: 0.6,
+        lifetime: 20
+      });
+      for (const { enemy: ally, amount } of healed) {
+        createFloatingText(ally.x, ally.y - 20, `+${amount}`, '#68d391');
+      }
+    } else if (ability === 'haste') {
+      createFloatingText(enemy.x, enemy.y - 30, 'Haste!', '#feb2b2');
+    }
+  });
   
-  const instructionsList = [
-    'You have a 5-second preparation phase before enemies arrive',
-    'Select a tower from the menu at the bottom',
-    'Click on the map to place your tower (avoid the path)',
-    'Towers automatically attack enemies in range',
-    'Defeat enemies to earn money for more towers',
-    'If even one enemy reaches the end, you lose!',
-    'Each wave gets progressively more difficult',
-    'New tower types unlock as you progress through waves'
-  ];
+  sim.on('statusApplied', ({ enemy, effect, refreshed }) => {
+    const style = statusEffectStyles[effect.type];
+    if (refreshed || !style) return;
+    
+    // Onset burst in the effect's color
+    for (let j = 0; j < 8; j++) {
+      const angle = Math.PI * 2 * (j / 8);
+      gameState.effects.push({
+        type: 'particle',
+        x: enemy.x,
+        y: enemy.y,
+        radius: 2,
+        color: style.color,
+        velocity: {
+          x: Math.cos(angle) * 1.5,
+          y: Math.sin(angle) * 1.5
+        },
+        alpha: 0.9,
+        lifetime: 15
+      });
+    }
+  });
   
-  instructionsList.forEach(text => {
-    const li = document.createElement('li');
-    li.textContent = text;
-    instructions.appendChild(li);
+  sim.on('explosion', ({ x, y, radius }) => {
+    createExplosion(x, y, radius);
   });
   
-  const backButton = document.createElement('button');
-  backButton.className = 'menu-button back-button';
-  backButton.textContent = 'Back to Menu';
-  backButton.addEventListener('click', () => {
-    audioSystem.playSound('hit', { volume: 0.5 });
-    gameState.gameScreen = 'mainMenu';
-    createMainMenu();
+  sim.on('enemyDefeated', ({ enemy, reward }) => {
+    // Death effect audio
+    if (enemy.boss) {
+      audioSystem.playSound('explosion', { volume: 0.5 });
+    } else {
+      audioSystem.playSound('hit', { 
+        volume: 0.5,
+        rateVariation: 0.3
+      });
+    }
+    
+    // Death effect particle system
+    for (let j = 0; j < 12; j++) {
+      const angle = Math.PI * 2 * (j / 12);
+      gameState.effects.push({
+        type: 'particle',
+        x: enemy.x,
+        y: enemy.y,
+        radius: 4,
+        color: enemy.color,
+        velocity: {
+          x: Math.cos(angle) * 3,
+          y: Math.sin(angle) * 3
+        },
+        alpha: 1,
+        lifetime: 20
+      });
+    }
+    
+    // Reward visualization
+    createFloatingText(
+      enemy.x,
+      enemy.y - 30,
+      `+${reward} gold!`,
+      '#f6e05e'
+    );
+    
+    updateUI();
   });
+}
+
+// Simulation suspension control
+function setPaused(paused) {
+  if (!gameState.isPlaying || gameState.gameScreen !== 'game') return;
+  if (gameState.paused === paused) return;
   
-  container.appendChild(title);
-  container.appendChild(instructions);
-  container.appendChild(backButton);
+  gameState.paused = paused;
   
-  uiElements.startScreen.appendChild(container);
+  // Armed abilities stand down so a paused click cannot land a cast on a frozen field
+  if (paused) {
+    gameState.selectedAbility = null;
+  }
+  
+  audioSystem.playSound('hit', { volume: 0.3 });
+  updatePauseButton();
 }
 
-// Event registration system
-function setupEventListeners() {
-  canvas.addEventListener('click', handleCanvasClick);
-  canvas.addEventListener('mousemove', (event) => {
-    const rect = canvas.getBoundingClientRect();
-    gameState.mouseX = event.clientX - rect.left;
-    gameState.mouseY = event.clientY - rect.top;
-  });
+function togglePause() {
+  setPaused(!gameState.paused);
 }
 
-// Application initialization with audio system integration
-function init() {
-  repairGameInterface();
-  createMainMenu();
-  setupEventListeners();
-  updateUI();
-  
-  // Initialize audio system
-  audioSystem.initialize();
+// Pause control label synchronization
+function updatePauseButton() {
+  const pauseButton = document.getElementById('pause-button');
+  if (pauseButton) {
+    pauseButton.textContent = gameState.paused ? 'Resume [P]' : 'Pause [P]';
+  }
 }
 
-// Game state transition to active phase with corrected wave initialization
-function startGame() {
-  gameState.isPlaying = true;
-  gameState.gameScreen = 'game';
-  gameState.preparationPhase = true;
-  gameState.preparationTimer = gameState.preparationTime;
-  gameState.wave = 1; // Explicitly initialize to wave 1
-  gameState.waveStarted = false; // Track if wave has been started
-  uiElements.startScreen.style.display = 'none';
-  document.getElementById('ui-container').style.display = 'flex';
-  
-  // Start background music
-  audioSystem.startMusic();
-  audioSystem.playSound('upgrade', { volume: 0.6 });
-  
-  // Preparation phase notification
-  createFloatingText(
-    canvas.width / 2, 
-    canvas.height / 2 - 40, 
-    `Preparation Phase: ${gameState.preparationTimer} seconds`, 
-    '#48bb78'
-  );
+// Fast-forward multiplier rotation
+function cycleGameSpeed() {
+  const nextIndex = (gameSpeeds.indexOf(gameState.gameSpeed) + 1) % gameSpeeds.length;
+  gameState.gameSpeed = gameSpeeds[nextIndex];
+  replaySystem.record('setSpeed', { speed: gameState.gameSpeed });
+  audioSystem.playSound('hit', { volume: 0.3 });
+  updateSpeedButton();
+}
+
+// Speed control label synchronization
+function updateSpeedButton() {
+  const speedButton = document.getElementById('speed-button');
+  if (speedButton) {
+    speedButton.textContent = `Speed: ${gameState.gameSpeed}x [F]`;
+  }
+}
+
+// Early call label with the gold on offer right now; refreshed every frame as the countdown runs
+function updateNextWaveButton() {
+  const nextWaveButton = document.getElementById('next-wave-button');
+  if (!nextWaveButton) return;
   
-  // Preparation phase countdown with state-aware progression
-  const prepInterval = setInterval(() => {
-    gameState.preparationTimer--;
+  const bonus = simulation.getEarlyCallBonus();
+  nextWaveButton.disabled = bonus === null || replaySystem.isPlayback();
+  nextWaveButton.textContent = bonus === null ? 'Next Wave [N]' : `Next Wave +${bonus}g [N]`;
+}
+
+// Ability bar cooldown, buff and armed-state readouts
+function updateAbilityBar() {
+  Object.entries(playerAbilities).forEach(([id, ability]) => {
+    const button = document.getElementById(`ability-${id}`);
+    if (!button) return;
     
-    // Periodic notification system
-    if (gameState.preparationTimer % 1 === 0) {
-      createFloatingText(
-        canvas.width / 2, 
-        canvas.height / 2, 
-        `Wave ${gameState.wave} in: ${gameState.preparationTimer}s`, 
-        '#ffffff'
-      );
+    const cooldown = simulation.getAbilityCooldown(id);
+    const buffActive = !ability.targeted && simulation.isBuffActive(id);
+    const status = button.querySelector('.ability-status');
+    if (status) {
+      if (buffActive) {
+        status.textContent = `Active ${Math.ceil((simulation.state.buffs[id] - simulation.state.gameTime) / 1000)}s`;
+      } else {
+        status.textContent = cooldown > 0 ? `${Math.ceil(cooldown / 1000)}s` : 'Ready';
+      }
     }
     
-    if (gameState.preparationTimer <= 0) {
-      clearInterval(prepInterval);
-      gameState.preparationPhase = false;
-      gameState.waveStarted = true; // Mark first wave as started
-      audioSystem.playSound('wave');
-      startWave();
-    }
-  }, 1000);
-  
-  updateUI();
+    button.disabled = cooldown > 0 || !gameState.isPlaying || replaySystem.isPlayback();
+    button.classList.toggle('selected', gameState.selectedAbility === id);
+  });
 }
 
 // Tower selection system
 function selectTower(towerType) {
-  const towerData = towerTypes[towerType];
-  const isUnlocked = gameState.wave >= towerData.unlockWave;
-  const isAffordable = gameState.money >= towerData.cost;
+  replaySystem.record('selectTower', { towerType });
+  
+  const towerData = simulation.towerTypes[towerType];
+  const isUnlocked = simulation.isTowerUnlocked(towerType);
+  const isAffordable = simulation.state.money >= towerData.cost;
   
   if (isUnlocked && isAffordable) {
     gameState.selectedTower = towerType;
+    gameState.selectedAbility = null;
+    selectPlacedTower(null);
     audioSystem.playSound('hit', { volume: 0.3 });
   } else if (!isUnlocked) {
     createFloatingText(canvas.width / 2, canvas.height / 2, `Unlocks at wave ${towerData.unlockWave}`, '#ef4444');
@@ -943,25 +4037,34 @@ function selectTower(towerType) {
 
 // Canvas interaction handler
 function handleCanvasClick(event) {
-  if (!gameState.isPlaying || !gameState.selectedTower) return;
+  if (!gameState.isPlaying || replaySystem.isPlayback()) return;
 
   const rect = canvas.getBoundingClientRect();
   const x = event.clientX - rect.left;
   const y = event.clientY - rect.top;
 
-  // Grid-aligned positioning system
-  const gridX = Math.floor(x / gameState.gridSize) * gameState.gridSize;
-  const gridY = Math.floor(y / gameState.gridSize) * gameState.gridSize;
+  // Armed abilities land exactly where clicked, never while paused
+  if (gameState.selectedAbility) {
+    if (gameState.paused) return;
 
-  // Placement validation
-  if (isPositionValid(gridX, gridY)) {
-    placeTower(gridX, gridY, gameState.selectedTower);
-    gameState.selectedTower = null;
-  } else {
-    // Visual and auditory feedback for invalid placement
-    createFloatingText(x, y, 'Invalid position!', '#ef4444');
-    audioSystem.playSound('hit', { volume: 0.3 });
+    castAbility(gameState.selectedAbility, x, y);
+    return;
+  }
+
+  // Existing structure selection when no placement is pending
+  if (!gameState.selectedTower) {
+    const tower = simulation.getTowerAt(x, y);
+    selectPlacedTower(tower === gameState.selectedPlacedTower ? null : tower);
+    return;
   }
+
+  // Grid-aligned positioning system
+  const gridSize = simulation.state.gridSize;
+  const gridX = Math.floor(x / gridSize) * gridSize;
+  const gridY = Math.floor(y / gridSize) * gridSize;
+
+  // Placement validation happens in the rules engine
+  placeTower(gridX, gridY, gameState.selectedTower);
 }
 
 // Visual effect system
@@ -978,670 +4081,220 @@ function createFloatingText(x, y, text, color) {
   });
 }
 
-// Placement validation system with proximity detection
-function isPositionValid(x, y) {
-  // Boundary validation
-  if (x < 20 || y < 20 || x > canvas.width - 20 || y > canvas.height - 20) {
-    return false;
-  }
-
-  // Collision detection with existing structures
-  for (const tower of gameState.towers) {
-    if (Math.abs(tower.x - x) < gameState.gridSize && Math.abs(tower.y - y) < gameState.gridSize) {
-      return false;
-    }
+// Player command entry points delegating to the rules engine, recorded for replays
+function placeTower(x, y, towerType) {
+  replaySystem.record('placeTower', { x, y, towerType });
+  
+  const tower = simulation.placeTower(x, y, towerType);
+  if (tower) {
+    gameState.selectedTower = null;
   }
+  return tower;
+}
 
-  // Path proximity validation with parametric assessment
-  for (let i = 0; i < path.length - 1; i++) {
-    const dx = path[i + 1].x - path[i].x;
-    const dy = path[i + 1].y - path[i].y;
-    const length = Math.sqrt(dx * dx + dy * dy);
-    const steps = Math.ceil(length / 10); // Precision factor
+function upgradeTower(tower) {
+  replaySystem.record('upgradeTower', { tower: simulation.state.towers.indexOf(tower) });
+  return simulation.upgradeTower(tower);
+}
 
-    for (let j = 0; j <= steps; j++) {
-      const pathX = path[i].x + (dx * j / steps);
-      const pathY = path[i].y + (dy * j / steps);
-      const distance = Math.sqrt((pathX - x) ** 2 + (pathY - y) ** 2);
-      
-      if (distance < 30) {
-        return false;
-      }
-    }
-  }
+function sellTower(tower) {
+  replaySystem.record('sellTower', { tower: simulation.state.towers.indexOf(tower) });
+  return simulation.sellTower(tower);
+}
 
-  return true;
+function cycleTargetingMode(tower) {
+  replaySystem.record('cycleTargeting', { tower: simulation.state.towers.indexOf(tower) });
+  return simulation.cycleTargetingMode(tower);
 }
 
-// Tower instantiation system with audio feedback
-function placeTower(x, y, towerType) {
-  const towerData = towerTypes[towerType];
-  const tower = {
-    x,
-    y,
-    type: towerType,
-    lastShot: 0,
-    target: null,
-    angle: 0, // Rotation control
-    ...towerData
-  };
+function callNextWave() {
+  if (!gameState.isPlaying || gameState.paused) return null;
+  replaySystem.record('callNextWave');
+  return simulation.callNextWave();
+}
 
-  // Initialize special capabilities
-  if (towerData.special) {
-    Object.assign(tower, towerData.special);
+function castAbility(abilityId, x, y) {
+  replaySystem.record('castAbility', { ability: abilityId, x, y });
+  const cast = simulation.castAbility(abilityId, x, y);
+  if (cast) {
+    gameState.selectedAbility = null;
   }
+  return cast;
+}
 
-  gameState.money -= tower.cost;
-  gameState.towers.push(tower);
-  
-  // Placement audio feedback
-  audioSystem.playSound('place', { volume: 0.6 });
+// Ability bar activation: targeted abilities arm the cursor (again to cancel), the rest cast at once
+function selectAbility(abilityId) {
+  if (!gameState.isPlaying || gameState.paused) return;
   
-  // Placement visual feedback
-  for (let i = 0; i < 8; i++) {
-    const angle = Math.PI * 2 * (i / 8);
-    gameState.effects.push({
-      type: 'particle',
-      x: x,
-      y: y,
-      radius: 4,
-      color: tower.color,
-      velocity: {
-        x: Math.cos(angle) * 2,
-        y: Math.sin(angle) * 2
-      },
-      alpha: 1,
-      lifetime: 30
-    });
+  const cooldown = simulation.getAbilityCooldown(abilityId);
+  if (cooldown > 0) {
+    createFloatingText(canvas.width / 2, canvas.height / 2 + 80, `${playerAbilities[abilityId].name} ready in ${Math.ceil(cooldown / 1000)}s`, '#a0aec0');
+    audioSystem.playSound('hit', { volume: 0.2 });
+    return;
   }
   
-  updateUI();
-}
-
-// Progressive wave generation system with dynamic difficulty scaling
-function startWave() {
-  // Clear existing wave
-  if (gameState.enemySpawnInterval) {
-    clearInterval(gameState.enemySpawnInterval);
+  if (!playerAbilities[abilityId].targeted) {
+    castAbility(abilityId);
+    return;
   }
   
-  // Wave composition system with progressive difficulty
-  const waveDifficulty = calculateWaveDifficulty();
-  const baseEnemyCount = 8;
-  const enemyCount = Math.floor(baseEnemyCount * (1 + (gameState.wave - 1) * 0.2));
-  let enemiesSpawned = 0;
-  gameState.waveCompleted = false;
-
-  // Dynamic spawn interval with progressive acceleration
-  const baseInterval = 1200; // Base milliseconds between spawns
-  const intervalReduction = 50; // Reduction per wave
-  const minInterval = 300; // Minimum spawn interval
-  const spawnInterval = Math.max(minInterval, baseInterval - (gameState.wave - 1) * intervalReduction);
-
-  // Enemy generation system
-  gameState.enemySpawnInterval = setInterval(() => {
-    if (enemiesSpawned >= enemyCount) {
-      clearInterval(gameState.enemySpawnInterval);
-      gameState.enemySpawnInterval = null;
-      return;
-    }
-
-    // Enemy type selection based on wave progression
-    const enemyType = selectEnemyTypeForWave(gameState.wave);
-    spawnEnemy(enemyType);
-    enemiesSpawned++;
-  }, spawnInterval);
-
-  updateUI();
+  gameState.selectedAbility = gameState.selectedAbility === abilityId ? null : abilityId;
+  gameState.selectedTower = null;
+  selectPlacedTower(null);
+  audioSystem.playSound('hit', { volume: 0.3 });
 }
 
-// Dynamic difficulty calculation system
-function calculateWaveDifficulty() {
-  // Base difficulty curve with progressive scaling
-  gameState.difficultyFactor = 1.0 + (gameState.wave - 1) * 0.15;
+// Placed structure selection with inspection panel synchronization
+function selectPlacedTower(tower) {
+  gameState.selectedPlacedTower = tower;
   
-  // Logarithmic difficulty scaling for extended gameplay
-  if (gameState.wave > 10) {
-    gameState.difficultyFactor += Math.log10(gameState.wave - 9) * 0.5;
+  if (tower) {
+    audioSystem.playSound('hit', { volume: 0.3 });
   }
   
-  return gameState.difficultyFactor;
+  updateTowerInfoPanel();
 }
 
-// Enemy type distribution system with progressive unlock
-function selectEnemyTypeForWave(wave) {
-  // Random selection with wave-dependent probabilities
-  const rand = Math.random();
+// Inspection panel rendering for the selected structure
+function updateTowerInfoPanel() {
+  const panel = document.getElementById('tower-info-panel');
+  if (!panel) return;
   
-  // Boss wave pattern on every 5th wave
-  if (wave % 5 === 0) {
-    return rand < 0.3 ? 'boss' : 'strong';
+  const tower = gameState.selectedPlacedTower;
+  if (!tower) {
+    panel.style.display = 'none';
+    panel.dataset.signature = '';
+    return;
   }
   
-  // Progressive enemy introduction
-  if (wave <= 2) {
-    return 'basic';
-  } else if (wave <= 4) {
-    return rand < 0.7 ? 'basic' : 'fast';
-  } else if (wave <= 7) {
-    if (rand < 0.5) return 'basic';
-    else if (rand < 0.8) return 'fast';
-    else return 'strong';
-  } else {
-    if (rand < 0.3) return 'basic';
-    else if (rand < 0.6) return 'fast';
-    else if (rand < 0.9) return 'strong';
-    else return 'boss';
-  }
-}
-
-// Enemy instantiation system with difficulty scaling
-function spawnEnemy(type) {
-  // Calculate scaled health based on wave progression
-  const scaledHealth = Math.floor(enemyTypes[type].health * gameState.difficultyFactor);
-  
-  const enemy = {
-    x: path[0].x,
-    y: path[0].y,
-    type,
-    health: scaledHealth,
-    maxHealth: scaledHealth,
-    speed: enemyTypes[type].speed,
-    reward: Math.ceil(enemyTypes[type].reward * (1 + (gameState.wave - 1) * 0.1)),
-    color: enemyTypes[type].color,
-    outlineColor: enemyTypes[type].outlineColor,
-    size: enemyTypes[type].size,
-    pathIndex: 0,
-    progress: 0,
-    // Visual enhancement properties
-    pulseEffect: 0,
-    pulseDirection: 1
-  };
-
-  gameState.enemies.push(enemy);
-}
-
-// Game state update orchestration
-function update() {
-  const now = Date.now();
-
-  // Check for wave completion condition
-  checkWaveCompletion();
-
-  // Update enemy movement and state
-  updateEnemies();
+  const tier = simulation.getNextUpgrade(tower);
+  const maxLevel = simulation.getMaxLevel(tower.type);
+  const canUpgrade = Boolean(tier) && simulation.state.money >= tier.cost;
   
-  // Update tower targeting and firing
-  updateTowers(now);
-
-  // Update projectile movement and collision
-  updateProjectiles();
+  // Rebuild only on visible changes so frequent UI refreshes don't swallow clicks
+  const signature = `${simulation.state.towers.indexOf(tower)}:${tower.level}:${canUpgrade}:${tower.targetingMode}`;
+  if (panel.dataset.signature === signature) return;
+  panel.dataset.signature = signature;
   
-  // Update visual effects
-  updateEffects();
-}
-
-// Wave progression detection and management with corrected state transitions
-function checkWaveCompletion() {
-  if (!gameState.waveCompleted && 
-      gameState.enemies.length === 0 && 
-      gameState.enemySpawnInterval === null &&
-      gameState.waveStarted) {  // Only proceed if wave actually started
-    
-    gameState.waveCompleted = true;
-    
-    // Wave completion notification with audio feedback
-    audioSystem.playSound('wave-complete');
-    createFloatingText(
-      canvas.width / 2, 
-      canvas.height / 2 - 40, 
-      `Wave ${gameState.wave} Complete!`, 
-      '#48bb78'
-    );
-    
-    // Resource bonus with progressive scaling
-    const baseBonus = 20;
-    const waveBonus = Math.floor(baseBonus + gameState.wave * 5);
-    
-    // Preparation phase for next wave
-    let nextWaveCountdown = 8;
-    
-    // Resource allocation notification
-    setTimeout(() => {
-      gameState.money += waveBonus;
-      audioSystem.playSound('coin', { volume: 0.7 });
-      createFloatingText(
-        canvas.width / 2,
-        canvas.height / 2,
-        `+${waveBonus} gold!`,
-        '#f6e05e'
-      );
-      updateUI();
-    }, 1000);
-    
-    // Wave transition countdown with explicit state increment
-    const countdownInterval = setInterval(() => {
-      nextWaveCountdown--;
-      
-      if (nextWaveCountdown % 2 === 0 || nextWaveCountdown <= 3) {
-        createFloatingText(
-          canvas.width / 2,
-          canvas.height / 2 + 40,
-          `Next wave in ${nextWaveCountdown}...`,
-          '#ffffff'
-        );
-      }
-      
-      if (nextWaveCountdown <= 0) {
-        clearInterval(countdownInterval);
-        gameState.wave++; // Increment wave counter only here
-        gameState.waveCompleted = false;
-        audioSystem.playSound('wave');
-        startWave();
-      }
-    }, 1000);
-  }
+  panel.style.display = 'block';
+  panel.innerHTML = `
+    <div class="info-title">${tower.name} (Level ${tower.level}/${maxLevel})</div>
+    <div class="info-stats">
+      Damage: ${tower.damage} ${formatDamageType(tower.damageType)}<br>
+      Range: ${tower.range} (${formatAirCoverage(tower)})<br>
+      Fire Rate: ${tower.fireRate.toFixed(2)}/s<br>
+      ${formatTowerEffect(tower)}Targeting: ${targetingModes[tower.targetingMode]}
+    </div>
+  `;
+  
+  // Action controls
+  const targetingButton = document.createElement('button');
+  targetingButton.id = 'targeting-mode-btn';
+  targetingButton.textContent = `Target: ${targetingModes[tower.targetingMode]} [T]`;
+  targetingButton.addEventListener('click', () => cycleTargetingMode(tower));
+  
+  const upgradeButton = document.createElement('button');
+  upgradeButton.id = 'upgrade-tower-btn';
+  upgradeButton.textContent = tier ? `Upgrade ($${tier.cost}) [U]` : 'Max Level';
+  upgradeButton.disabled = !canUpgrade;
+  upgradeButton.addEventListener('click', () => upgradeTower(tower));
+  
+  const sellButton = document.createElement('button');
+  sellButton.id = 'sell-tower-btn';
+  sellButton.className = 'sell-button';
+  sellButton.textContent = `Sell ($${simulation.getSellValue(tower)}) [S]`;
+  sellButton.addEventListener('click', () => sellTower(tower));
+  
+  panel.appendChild(targetingButton);
+  panel.appendChild(upgradeButton);
+  panel.appendChild(sellButton);
 }
 
-// Enemy update system
-function updateEnemies() {
-  for (let i = gameState.enemies.length - 1; i >= 0; i--) {
-    const enemy = gameState.enemies[i];
-    
-    // Visual effect state management
-    enemy.pulseEffect += 0.1 * enemy.pulseDirection;
-    if (enemy.pulseEffect > 1 || enemy.pulseEffect < 0) {
-      enemy.pulseDirection *= -1;
-    }
-    
-    // Path navigation with parametric progression
-    const currentPathPoint = path[enemy.pathIndex];
-    const nextPathPoint = path[enemy.pathIndex + 1];
-    
-    const dx = nextPathPoint.x - currentPathPoint.x;
-    const dy = nextPathPoint.y - currentPathPoint.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    
-    enemy.progress += enemy.speed;
-    
-    if (enemy.progress >= distance) {
-      enemy.progress = 0;
-      enemy.pathIndex++;
-      
-      // Endpoint detection - critical failure condition
-      if (enemy.pathIndex >= path.length - 1) {
-        gameState.lives--;
-        
-        // Enhanced visual and audio feedback for breach
-        audioSystem.playSound('game-over', { volume: 0.5 });
-        
-        for (let j = 0; j < 20; j++) {
-          const angle = Math.PI * 2 * (j / 20);
-          const speed = 2 + Math.random() * 3;
-          gameState.effects.push({
-            type: 'particle',
-            x: enemy.x,
-            y: enemy.y,
-            radius: 5,
-            color: '#ef4444',
-            velocity: {
-              x: Math.cos(angle) * speed,
-              y: Math.sin(angle) * speed
-            },
-            alpha: 1,
-            lifetime: 60
-          });
-        }
-        
-        createFloatingText(enemy.x, enemy.y - 30, 'BREACH!', '#ef4444');
-        gameState.enemies.splice(i, 1);
-        updateUI();
-        
-        // Immediate termination on breach
-        gameOver("Enemy Breach Detected");
-        return;
-      }
-    }
-    
-    // Position interpolation
-    const progressPercent = enemy.progress / distance;
-    enemy.x = currentPathPoint.x + dx * progressPercent;
-    enemy.y = currentPathPoint.y + dy * progressPercent;
-  }
+// Parenthesized damage class label for tower stat lines
+function formatDamageType(damageType) {
+  return damageTypes[damageType] ? `(${damageTypes[damageType].name})` : '';
 }
 
-// Tower targeting and firing system with audio feedback
-function updateTowers(now) {
-  for (const tower of gameState.towers) {
-    // Rate of fire management
-    if (now - tower.lastShot < 1000 / tower.fireRate) continue;
-    
-    // Target acquisition with proximity assessment
-    let closestEnemy = null;
-    let closestDistance = tower.range;
-    
-    for (const enemy of gameState.enemies) {
-      const dx = enemy.x - tower.x;
-      const dy = enemy.y - tower.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      
-      if (distance < closestDistance) {
-        closestEnemy = enemy;
-        closestDistance = distance;
-      }
-    }
-    
-    // Targeting and firing mechanics
-    if (closestEnemy) {
-      // Turret rotation calculation
-      const dx = closestEnemy.x - tower.x;
-      const dy = closestEnemy.y - tower.y;
-      tower.angle = Math.atan2(dy, dx);
-      
-      tower.lastShot = now;
-      tower.target = closestEnemy;
-      
-      // Type-specific attack handling
-      if (tower.type === 'sniper') {
-        // Direct hit system for sniper with audio feedback
-        audioSystem.playSound('shoot', { 
-          volume: 0.7, 
-          rateVariation: 0.05 
-        });
-        
-        // Calculate critical hit
-        const isCritical = Math.random() < tower.criticalChance;
-        const damage = isCritical ? Math.floor(tower.damage * tower.criticalMultiplier) : tower.damage;
-        
-        // Apply damage
-        closestEnemy.health -= damage;
-        
-        // Create laser effect
-        for (let dist = 10; dist <= closestDistance; dist += 10) {
-          const x = tower.x + Math.cos(tower.angle) * dist;
-          const y = tower.y + Math.sin(tower.angle) * dist;
-          
-          gameState.effects.push({
-            type: 'particle',
-            x: x,
-            y: y,
-            radius: 1,
-            color: '#c6f6d5',
-            velocity: { x: 0, y: 0 },
-            alpha: 0.7,
-            lifetime: 5
-          });
-        }
-        
-        // Impact effect
-        for (let j = 0; j < 8; j++) {
-          const angle = Math.random() * Math.PI * 2;
-          const speed = 2 + Math.random() * 2;
-          
-          gameState.effects.push({
-            type: 'particle',
-            x: closestEnemy.x,
-            y: closestEnemy.y,
-            radius: 2,
-            color: '#c6f6d5',
-            velocity: {
-              x: Math.cos(angle) * speed,
-              y: Math.sin(angle) * speed
-            },
-            alpha: 1,
-            lifetime: 15
-          });
-        }
-        
-        // Critical hit sound
-        if (isCritical) {
-          audioSystem.playSound('critical', { volume: 0.6 });
-        }
-        
-        // Damage text
-        createFloatingText(
-          closestEnemy.x, 
-          closestEnemy.y - 20, 
-          isCritical ? `CRITICAL! -${damage}` : `-${damage}`, 
-          isCritical ? '#f6e05e' : '#ff9999'
-        );
-        
-        // Check if enemy defeated
-        if (closestEnemy.health <= 0) {
-          defeatEnemy(closestEnemy);
-        }
-      } else if (tower.type === 'bomber') {
-        // Create explosive projectile
-        createBomberProjectile(tower, closestEnemy);
-      } else {
-        // Standard projectile for other towers
-        createStandardProjectile(tower, closestEnemy);
-      }
-    }
-  }
+// Which enemy layers a tower can engage
+function formatAirCoverage(towerData) {
+  return towerData.antiAir ? 'ground & air' : 'ground only';
 }
 
-// Standard projectile creation with audio feedback
-function createStandardProjectile(tower, target) {
-  const angle = Math.atan2(target.y - tower.y, target.x - tower.x);
-  const spawnX = tower.x + Math.cos(angle) * tower.barrelLength;
-  const spawnY = tower.y + Math.sin(angle) * tower.barrelLength;
+// Status effect summary line for towers whose shots apply one
+function formatTowerEffect(tower) {
+  if (tower.specialType !== 'status' || !statusEffects[tower.effect]) return '';
   
-  // Type-specific audio feedback
-  switch(tower.type) {
-    case 'magic':
-      audioSystem.playSound('shoot', { 
-        volume: 0.5, 
-        rateVariation: 0.2 
-      });
-      break;
-    default:
-      audioSystem.playSound('shoot', { 
-        volume: 0.4, 
-        rateVariation: 0.1 
-      });
-  }
+  // Slow strength is a speed fraction, stuns have none, the rest deal damage per tick (per stack
+  // for stacking effects)
+  const definition = statusEffects[tower.effect];
+  let magnitude = ` ${tower.effectMagnitude}/tick${definition.stacking === 'stack' ? ` per stack (max ${definition.maxStacks})` : ''}`;
+  if (tower.effect === 'slow') magnitude = ` ${Math.round(tower.effectMagnitude * 100)}%`;
+  if (tower.effect === 'stun') magnitude = '';
   
-  gameState.projectiles.push({
-    x: spawnX,
-    y: spawnY,
-    targetX: target.x,
-    targetY: target.y,
-    target: target,
-    damage: tower.damage,
-    speed: 5,
-    color: tower.projectileColor,
-    size: tower.projectileSize,
-    type: tower.type,
-    createTrail: true,
-    trailInterval: 2,
-    trailCounter: 0
-  });
+  const name = definition.name;
+  const chance = tower.effectChance < 1 ? ` (${Math.round(tower.effectChance * 100)}% chance)` : '';
+  return `Effect: ${name}${magnitude} for ${(tower.effectDuration / 1000).toFixed(1)}s${chance}<br>`;
 }
 
-// Bomber projectile with area effect and audio feedback
-function createBomberProjectile(tower, target) {
-  const angle = Math.atan2(target.y - tower.y, target.x - tower.x);
-  const spawnX = tower.x + Math.cos(angle) * tower.barrelLength;
-  const spawnY = tower.y + Math.sin(angle) * tower.barrelLength;
+// Presentation update for a single simulation tick
+function update() {
+  // Replay commands due before this tick
+  replaySystem.applyDueCommands();
   
-  // Launch audio
-  audioSystem.playSound('shoot', { 
-    volume: 0.6, 
-    rateVariation: 0.1 
-  });
+  // Advance the rules engine
+  simulation.step();
+  replaySystem.afterStep();
   
-  // Launch smoke effect
-  for (let i = 0; i < 5; i++) {
-    const smokeAngle = angle + Math.PI + (Math.random() * 0.5 - 0.25);
+  // Update visual effects
+  updateProjectileTrails();
+  updateStatusParticles();
+  updateEffects();
+  
+  // Deferred autosave keeps snapshots on tick boundaries
+  if (gameState.autosavePending) {
+    gameState.autosavePending = false;
+    saveSystem.save();
+  }
+}
+
+// Projectile trail generation
+function updateProjectileTrails() {
+  for (const projectile of simulation.state.projectiles) {
+    const trailInterval = projectile.type === 'bomber' ? 3 : 2;
+    if (simulation.state.tick % trailInterval !== 0) continue;
+    
     gameState.effects.push({
       type: 'particle',
-      x: spawnX,
-      y: spawnY,
-      radius: 3 + Math.random() * 3,
-      color: 'rgba(160, 174, 192, 0.8)',
-      velocity: {
-        x: Math.cos(smokeAngle) * (1 + Math.random()),
-        y: Math.sin(smokeAngle) * (1 + Math.random())
-      },
+      x: projectile.x,
+      y: projectile.y,
+      radius: projectile.size * 0.7,
+      color: projectile.color,
+      velocity: { x: 0, y: 0 },
       alpha: 0.7,
-      lifetime: 10 + Math.random() * 10
+      lifetime: 10
     });
   }
-  
-  gameState.projectiles.push({
-    x: spawnX,
-    y: spawnY,
-    targetX: target.x,
-    targetY: target.y,
-    target: target,
-    damage: tower.damage,
-    speed: 4,
-    color: tower.projectileColor,
-    size: tower.projectileSize,
-    type: 'bomber',
-    createTrail: true,
-    trailInterval: 3,
-    trailCounter: 0,
-    explosionRadius: tower.radius,
-    falloff: tower.falloff
-  });
 }
 
-// Projectile physics and collision system
-function updateProjectiles() {
-  for (let i = gameState.projectiles.length - 1; i >= 0; i--) {
-    const projectile = gameState.projectiles[i];
-    
-    // Trail effect generation
-    if (projectile.createTrail) {
-      projectile.trailCounter++;
-      
-      if (projectile.trailCounter >= projectile.trailInterval) {
-        projectile.trailCounter = 0;
-        
-        gameState.effects.push({
-          type: 'particle',
-          x: projectile.x,
-          y: projectile.y,
-          radius: projectile.size * 0.7,
-          color: projectile.color,
-          velocity: { x: 0, y: 0 },
-          alpha: 0.7,
-          lifetime: 10
-        });
-      }
-    }
-    
-    // Target tracking with dynamic position updates
-    if (projectile.target && gameState.enemies.includes(projectile.target)) {
-      projectile.targetX = projectile.target.x;
-      projectile.targetY = projectile.target.y;
-    }
-    
-    // Trajectory calculation with normalized vectors
-    const dx = projectile.targetX - projectile.x;
-    const dy = projectile.targetY - projectile.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    
-    // Collision detection with proximity threshold
-    if (distance < 5) {
-      // Hit registration with type-specific behavior
-      if (projectile.target && gameState.enemies.includes(projectile.target)) {
-        if (projectile.type === 'bomber') {
-          // Explosion effect
-          createExplosion(projectile.targetX, projectile.targetY, projectile.explosionRadius);
-          
-          // Primary target damage
-          projectile.target.health -= projectile.damage;
-          
-          // Area damage
-          for (const enemy of gameState.enemies) {
-            if (enemy === projectile.target) continue;
-            
-            const explosionDx = enemy.x - projectile.targetX;
-            const explosionDy = enemy.y - projectile.targetY;
-            const explosionDistance = Math.sqrt(explosionDx * explosionDx + explosionDy * explosionDy);
-            
-            if (explosionDistance <= projectile.explosionRadius) {
-              // Calculate damage falloff
-              const damagePercent = 1 - (explosionDistance / projectile.explosionRadius) * projectile.falloff;
-              const areaDamage = Math.floor(projectile.damage * damagePercent);
-              
-              if (areaDamage > 0) {
-                enemy.health -= areaDamage;
-                
-                // Damage indicator
-                createFloatingText(
-                  enemy.x, 
-                  enemy.y - 20, 
-                  `-${areaDamage}`, 
-                  '#ff9999'
-                );
-                
-                // Check for defeat from splash damage
-                if (enemy.health <= 0) {
-                  defeatEnemy(enemy);
-                }
-              }
-            }
-          }
-          
-          // Check if primary target defeated
-          if (projectile.target.health <= 0) {
-            defeatEnemy(projectile.target);
-          }
-        } else {
-          // Standard impact with audio feedback
-          audioSystem.playSound('hit', { 
-            volume: 0.4, 
-            rateVariation: 0.2 
-          });
-          
-          projectile.target.health -= projectile.damage;
-          
-          // Impact effect
-          for (let j = 0; j < 6; j++) {
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 1 + Math.random() * 2;
-            
-            gameState.effects.push({
-              type: 'particle',
-              x: projectile.target.x,
-              y: projectile.target.y,
-              radius: 3,
-              color: projectile.color,
-              velocity: {
-                x: Math.cos(angle) * speed,
-                y: Math.sin(angle) * speed
-              },
-              alpha: 1,
-              lifetime: 15
-            });
-          }
-          
-          // Damage text
-          createFloatingText(
-            projectile.target.x, 
-            projectile.target.y - 20, 
-            `-${projectile.damage}`, 
-            '#ff9999'
-          );
-          
-          // Check for defeat
-          if (projectile.target.health <= 0) {
-            defeatEnemy(projectile.target);
-          }
-        }
-      }
+// Ambient particles rising from enemies under status effects
+function updateStatusParticles() {
+  if (simulation.state.tick % 6 !== 0) return;
+  
+  for (const enemy of simulation.state.enemies) {
+    for (const effect of enemy.effects) {
+      const style = statusEffectStyles[effect.type];
+      if (!style) continue;
       
-      // Remove projectile
-      gameState.projectiles.splice(i, 1);
-    } else {
-      // Projectile movement with acceleration curve
-      const speed = projectile.speed * (1 + 0.1 * (1 - distance / 300));
-      projectile.x += (dx / distance) * speed;
-      projectile.y += (dy / distance) * speed;
+      gameState.effects.push({
+        type: 'particle',
+        x: enemy.x + (Math.random() - 0.5) * enemy.size,
+        y: enemy.y + (Math.random() - 0.5) * enemy.size,
+        radius: 1.5 + Math.random(),
+        color: style.color,
+        velocity: { x: 0, y: -0.4 - Math.random() * 0.4 },
+        alpha: 0.8,
+        lifetime: 20
+      });
     }
   }
 }
@@ -1708,54 +4361,6 @@ function createExplosion(x, y, radius) {
   );
 }
 
-// Enemy defeat processing with audio feedback
-function defeatEnemy(enemy) {
-  const reward = enemy.reward;
-  gameState.money += reward;
-  
-  // Death effect audio
-  if (enemy.type === 'boss') {
-    audioSystem.playSound('explosion', { volume: 0.5 });
-  } else {
-    audioSystem.playSound('hit', { 
-      volume: 0.5,
-      rateVariation: 0.3
-    });
-  }
-  
-  // Death effect particle system
-  for (let j = 0; j < 12; j++) {
-    const angle = Math.PI * 2 * (j / 12);
-    gameState.effects.push({
-      type: 'particle',
-      x: enemy.x,
-      y: enemy.y,
-      radius: 4,
-      color: enemy.color,
-      velocity: {
-        x: Math.cos(angle) * 3,
-        y: Math.sin(angle) * 3
-      },
-      alpha: 1,
-      lifetime: 20
-    });
-  }
-  
-  // Reward visualization
-  createFloatingText(
-    enemy.x,
-    enemy.y - 30,
-    `+${reward} gold!`,
-    '#f6e05e'
-  );
-  
-  // Remove enemy from active units
-  gameState.enemies = gameState.enemies.filter(e => e !== enemy);
-  
-  // Update interface state
-  updateUI();
-}
-
 // Effect update system
 function updateEffects() {
   for (let i = gameState.effects.length - 1; i >= 0; i--) {
@@ -1789,22 +4394,34 @@ function updateEffects() {
 
 // Rendering pipeline orchestration
 function render() {
+  // Map authoring screen has its own scene
+  if (gameState.gameScreen === 'editor') {
+    mapEditor.render();
+    return;
+  }
+  
   // Scene foundation
   drawBackground();
   
   // Game element visualization
+  drawTerrain(simulation.map.terrain || []);
+  drawBlockedCells(simulation.map.blockedCells || [], 0.35);
   drawPath();
   drawTowers();
-  drawEnemies();
+  drawEnemies(false);
   drawProjectiles();
   drawEffects();
+  drawEnemies(true);
+  drawBossHealthBar();
   drawTowerPreview();
+  drawAbilityPreview();
+  drawUpgradeHint();
   
   // Grid system visualization
   drawGrid();
   
   // Game state overlays
-  if (gameState.preparationPhase && gameState.gameScreen === 'game') {
+  if (simulation.state.preparationPhase && gameState.gameScreen === 'game') {
     // Preparation phase temporal indicator
     ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
     ctx.fillRect(canvas.width / 2 - 120, 10, 240, 40);
@@ -1812,7 +4429,33 @@ function render() {
     ctx.font = 'bold 18px Arial';
     ctx.fillStyle = '#48bb78';
     ctx.textAlign = 'center';
-    ctx.fillText(`Preparation: ${gameState.preparationTimer}s`, canvas.width / 2, 35);
+    ctx.fillText(`Preparation: ${simulation.state.preparationTimer}s`, canvas.width / 2, 35);
+  }
+  
+  // Replay playback indicator
+  if (replaySystem.isPlayback() && gameState.gameScreen === 'game') {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(canvas.width - 110, 60, 100, 28);
+    
+    ctx.font = 'bold 16px Arial';
+    ctx.fillStyle = '#90cdf4';
+    ctx.textAlign = 'center';
+    ctx.fillText('REPLAY', canvas.width - 60, 80);
+  }
+  
+  // Suspended simulation overlay
+  if (gameState.paused && gameState.gameScreen === 'game') {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    ctx.font = 'bold 48px Arial';
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.fillText('PAUSED', canvas.width / 2, canvas.height / 2);
+    
+    ctx.font = '16px Arial';
+    ctx.fillStyle = '#cbd5e0';
+    ctx.fillText('Press P or Escape to resume', canvas.width / 2, canvas.height / 2 + 35);
   }
 }
 
@@ -1825,7 +4468,7 @@ function drawBackground() {
   ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
   ctx.lineWidth = 1;
   
-  const gridSpacing = gameState.gridSize;
+  const gridSpacing = simulation.state.gridSize;
   for (let x = 0; x < canvas.width; x += gridSpacing) {
     ctx.beginPath();
     ctx.moveTo(x, 0);
@@ -1841,61 +4484,194 @@ function drawBackground() {
   }
 }
 
-// Path visualization system
-function drawPath() {
+// Path visualization system; each layer covers every route so merging roads blend
+function drawPath(paths = simulation.map.paths) {
+  const routes = paths.filter(route => route.length > 0);
+  if (routes.length === 0) return;
+  
   // Path shadow for depth perception
   ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
   ctx.lineWidth = 44;
   ctx.lineCap = 'round';
   ctx.lineJoin = 'round';
-  
-  ctx.beginPath();
-  ctx.moveTo(path[0].x, path[0].y);
-  for (let i = 1; i < path.length; i++) {
-    ctx.lineTo(path[i].x, path[i].y);
-  }
+  traceRoutes(routes);
   ctx.stroke();
   
   // Primary path surface
   ctx.strokeStyle = '#4b5563';
   ctx.lineWidth = 40;
-  
-  ctx.beginPath();
-  ctx.moveTo(path[0].x, path[0].y);
-  for (let i = 1; i < path.length; i++) {
-    ctx.lineTo(path[i].x, path[i].y);
-  }
+  traceRoutes(routes);
   ctx.stroke();
   
   // Path interior
   ctx.strokeStyle = '#4a5568';
   ctx.lineWidth = 36;
-  
-  ctx.beginPath();
-  ctx.moveTo(path[0].x, path[0].y);
-  for (let i = 1; i < path.length; i++) {
-    ctx.lineTo(path[i].x, path[i].y);
-  }
+  traceRoutes(routes);
   ctx.stroke();
   
   // Path embellishment
   ctx.setLineDash([5, 15]);
   ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
   ctx.lineWidth = 2;
+  traceRoutes(routes);
+  ctx.stroke();
+  
+  ctx.setLineDash([]);
+  
+  drawRouteMarkers(routes);
+}
+
+// Entrance and exit markers, one per distinct endpoint shared by any number of routes
+function drawRouteMarkers(routes) {
+  const entrances = new Map();
+  const exits = new Map();
+  
+  for (const route of routes) {
+    if (route.length < 2) continue;
+    
+    const start = route[0];
+    const end = route[route.length - 1];
+    if (!entrances.has(`${start.x},${start.y}`)) {
+      entrances.set(`${start.x},${start.y}`, { point: start, angle: Math.atan2(route[1].y - start.y, route[1].x - start.x) });
+    }
+    exits.set(`${end.x},${end.y}`, end);
+  }
+  
+  // Entrance chevrons pointing along the first segment
+  for (const { point, angle } of entrances.values()) {
+    const x = Math.min(canvas.width - 18, Math.max(18, point.x));
+    const y = Math.min(canvas.height - 18, Math.max(18, point.y));
+    
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(angle);
+    
+    ctx.fillStyle = 'rgba(72, 187, 120, 0.85)';
+    ctx.beginPath();
+    ctx.moveTo(12, 0);
+    ctx.lineTo(-8, -12);
+    ctx.lineTo(-3, 0);
+    ctx.lineTo(-8, 12);
+    ctx.closePath();
+    ctx.fill();
+    
+    ctx.restore();
+  }
   
+  // Exit rings marking the breach points
+  for (const point of exits.values()) {
+    const x = Math.min(canvas.width - 16, Math.max(16, point.x));
+    const y = Math.min(canvas.height - 16, Math.max(16, point.y));
+    
+    ctx.strokeStyle = 'rgba(239, 68, 68, 0.85)';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(x, y, 12, 0, Math.PI * 2);
+    ctx.stroke();
+    
+    ctx.fillStyle = 'rgba(239, 68, 68, 0.4)';
+    ctx.beginPath();
+    ctx.arc(x, y, 6, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+// Polyline construction for a set of waypoint routes
+function traceRoutes(routes) {
   ctx.beginPath();
-  ctx.moveTo(path[0].x, path[0].y);
-  for (let i = 1; i < path.length; i++) {
-    ctx.lineTo(path[i].x, path[i].y);
+  for (const route of routes) {
+    ctx.moveTo(route[0].x, route[0].y);
+    for (let i = 1; i < route.length; i++) {
+      ctx.lineTo(route[i].x, route[i].y);
+    }
   }
-  ctx.stroke();
+}
+
+// Decorative terrain rendering
+function drawTerrain(terrain) {
+  for (const feature of terrain) {
+    if (feature.type === 'water') {
+      ctx.fillStyle = 'rgba(49, 130, 206, 0.45)';
+      ctx.beginPath();
+      ctx.ellipse(feature.x, feature.y, feature.size, feature.size * 0.65, 0, 0, Math.PI * 2);
+      ctx.fill();
+      
+      ctx.strokeStyle = 'rgba(144, 205, 244, 0.4)';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    } else if (feature.type === 'rock') {
+      ctx.fillStyle = '#4a5568';
+      ctx.beginPath();
+      ctx.moveTo(feature.x - feature.size, feature.y + feature.size * 0.5);
+      ctx.lineTo(feature.x - feature.size * 0.4, feature.y - feature.size * 0.7);
+      ctx.lineTo(feature.x + feature.size * 0.6, feature.y - feature.size * 0.5);
+      ctx.lineTo(feature.x + feature.size, feature.y + feature.size * 0.5);
+      ctx.closePath();
+      ctx.fill();
+      
+      ctx.strokeStyle = '#2d3748';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    } else {
+      // Tree canopy with trunk shadow
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+      ctx.beginPath();
+      ctx.arc(feature.x + 3, feature.y + 3, feature.size, 0, Math.PI * 2);
+      ctx.fill();
+      
+      ctx.fillStyle = '#276749';
+      ctx.beginPath();
+      ctx.arc(feature.x, feature.y, feature.size, 0, Math.PI * 2);
+      ctx.fill();
+      
+      ctx.fillStyle = '#38a169';
+      ctx.beginPath();
+      ctx.arc(feature.x - feature.size * 0.25, feature.y - feature.size * 0.25, feature.size * 0.6, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
+
+// Non-buildable cell visualization with diagonal hatching
+function drawBlockedCells(cells, alpha) {
+  const gridSize = simulation.state.gridSize;
   
-  ctx.setLineDash([]);
+  ctx.save();
+  ctx.globalAlpha = alpha;
+  ctx.strokeStyle = '#e53e3e';
+  ctx.lineWidth = 1;
+  
+  for (const cell of cells) {
+    const x = cell.col * gridSize;
+    const y = cell.row * gridSize;
+    
+    ctx.fillStyle = 'rgba(229, 62, 62, 0.25)';
+    ctx.fillRect(x, y, gridSize, gridSize);
+    
+    ctx.beginPath();
+    for (let offset = gridSize / 4; offset < gridSize * 2; offset += gridSize / 4) {
+      ctx.moveTo(x + Math.max(0, offset - gridSize), y + Math.min(gridSize, offset));
+      ctx.lineTo(x + Math.min(gridSize, offset), y + Math.max(0, offset - gridSize));
+    }
+    ctx.stroke();
+  }
+  
+  ctx.restore();
 }
 
 // Tower visualization system
 function drawTowers() {
-  for (const tower of gameState.towers) {
+  const overdrive = simulation.isBuffActive('overdrive');
+  
+  for (const tower of simulation.state.towers) {
+    // Overdrive halo
+    if (overdrive) {
+      ctx.fillStyle = 'rgba(246, 173, 85, 0.3)';
+      ctx.beginPath();
+      ctx.arc(tower.x, tower.y, 24 + Math.sin(simulation.state.gameTime / 80) * 2, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    
     // Tower foundation
     ctx.fillStyle = '#2d3748';
     ctx.beginPath();
@@ -1970,6 +4746,33 @@ function drawTowers() {
         ctx.lineTo(targetDistance, 0);
         ctx.stroke();
       }
+    } else if (tower.type === 'frost') {
+      // Ice crystal emitter
+      ctx.beginPath();
+      ctx.moveTo(0, -4);
+      ctx.lineTo(tower.barrelLength + 4, 0);
+      ctx.lineTo(0, 4);
+      ctx.closePath();
+      ctx.fill();
+      
+      // Frost shards
+      ctx.strokeStyle = '#e6fffa';
+      ctx.lineWidth = 2;
+      for (let i = 0; i < 3; i++) {
+        const shardAngle = (Math.PI * 2 / 3) * i + Math.PI / 3;
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(Math.cos(shardAngle) * 9, Math.sin(shardAngle) * 9);
+        ctx.stroke();
+      }
+    } else if (tower.type === 'venom') {
+      // Dart tube over a toxin reservoir
+      ctx.fillRect(0, -2, tower.barrelLength, 4);
+      
+      ctx.fillStyle = '#9ae6b4';
+      ctx.beginPath();
+      ctx.arc(-2, 0, 5, 0, Math.PI * 2);
+      ctx.fill();
     } else if (tower.type === 'bomber') {
       // Heavy ordnance system
       ctx.fillRect(0, -5, tower.barrelLength, 10);
@@ -1996,8 +4799,30 @@ function drawTowers() {
     
     ctx.restore();
     
+    // Upgrade tier visualization
+    const maxLevel = simulation.getMaxLevel(tower.type);
+    if (tower.level === maxLevel && maxLevel > 1) {
+      // Fully upgraded crest
+      ctx.strokeStyle = '#f6e05e';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(tower.x, tower.y, 20, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    
+    for (let i = 1; i < maxLevel; i++) {
+      const pipX = tower.x + (i - maxLevel / 2) * 8;
+      ctx.fillStyle = i < tower.level ? '#f6e05e' : 'rgba(0, 0, 0, 0.6)';
+      ctx.strokeStyle = '#1a202c';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.arc(pipX, tower.y + 24, 3, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+    
     // Range visualization for selected tower
-    if (gameState.selectedTower && tower === gameState.towers[gameState.towers.length - 1]) {
+    if (tower === gameState.selectedPlacedTower) {
       ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
       ctx.lineWidth = 1;
       ctx.setLineDash([5, 5]);
@@ -2009,18 +4834,43 @@ function drawTowers() {
   }
 }
 
-// Enemy visualization system
-function drawEnemies() {
-  for (const enemy of gameState.enemies) {
-    // Pulse effect calculation
-    const pulseSize = enemy.size * (1 + enemy.pulseEffect * 0.1);
+// Enemy visualization system; flyers are drawn in a separate pass above everything else
+function drawEnemies(flying) {
+  simulation.state.enemies.forEach((enemy, index) => {
+    if (Boolean(enemy.flying) !== flying) return;
     
-    // Shadow for depth perception
+    // Pulse effect calculation derived from game time, staggered per enemy
+    const pulseEffect = (Math.sin(simulation.state.gameTime / 160 + index) + 1) / 2;
+    const pulseSize = enemy.size * (1 + pulseEffect * 0.1);
+    
+    // Shadow for depth perception; flyers cast a smaller one further below
     ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
     ctx.beginPath();
-    ctx.arc(enemy.x + 2, enemy.y + 2, pulseSize / 2, 0, Math.PI * 2);
+    if (enemy.flying) {
+      ctx.arc(enemy.x + 10, enemy.y + 16, pulseSize / 3, 0, Math.PI * 2);
+    } else {
+      ctx.arc(enemy.x + 2, enemy.y + 2, pulseSize / 2, 0, Math.PI * 2);
+    }
     ctx.fill();
     
+    // Flapping wings behind the body
+    if (enemy.flying) {
+      const wingSpan = pulseSize * (0.8 + pulseEffect * 0.4);
+      ctx.fillStyle = enemy.outlineColor;
+      ctx.beginPath();
+      ctx.moveTo(enemy.x, enemy.y);
+      ctx.lineTo(enemy.x - wingSpan, enemy.y - pulseSize / 3);
+      ctx.lineTo(enemy.x - wingSpan / 2, enemy.y + pulseSize / 4);
+      ctx.closePath();
+      ctx.fill();
+      ctx.beginPath();
+      ctx.moveTo(enemy.x, enemy.y);
+      ctx.lineTo(enemy.x + wingSpan, enemy.y - pulseSize / 3);
+      ctx.lineTo(enemy.x + wingSpan / 2, enemy.y + pulseSize / 4);
+      ctx.closePath();
+      ctx.fill();
+    }
+    
     // Enemy body
     ctx.fillStyle = enemy.color;
     ctx.strokeStyle = enemy.outlineColor;
@@ -2030,6 +4880,28 @@ function drawEnemies() {
     ctx.fill();
     ctx.stroke();
     
+    // Status effect tints layered over the body
+    for (const effect of enemy.effects) {
+      const style = statusEffectStyles[effect.type];
+      if (!style) continue;
+      
+      ctx.fillStyle = style.tint;
+      ctx.beginPath();
+      ctx.arc(enemy.x, enemy.y, pulseSize / 2, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    
+    // Damage-absorbing shield bubble
+    if (enemy.shield > 0) {
+      ctx.strokeStyle = 'rgba(144, 205, 244, 0.8)';
+      ctx.fillStyle = 'rgba(144, 205, 244, 0.15)';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(enemy.x, enemy.y, pulseSize / 2 + 6, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+    
     // Enemy type-specific embellishments
     if (enemy.type === 'fast') {
       // Speed indicators
@@ -2047,14 +4919,25 @@ function drawEnemies() {
       ctx.moveTo(enemy.x - 12, enemy.y + 5);
       ctx.lineTo(enemy.x - 2, enemy.y + 5);
       ctx.stroke();
+    } else if (enemy.type === 'splitter') {
+      // Segmented core showing the children inside
+      ctx.fillStyle = '#b2f5ea';
+      for (let i = 0; i < 3; i++) {
+        const angle = (Math.PI * 2 / 3) * i + simulation.state.gameTime / 400;
+        ctx.beginPath();
+        ctx.arc(enemy.x + Math.cos(angle) * pulseSize / 5, enemy.y + Math.sin(angle) * pulseSize / 5, 3, 0, Math.PI * 2);
+        ctx.fill();
+      }
     } else if (enemy.type === 'strong') {
       // Armor indicator
       ctx.fillStyle = '#d6bcfa';
       ctx.beginPath();
       ctx.arc(enemy.x, enemy.y, pulseSize / 4, 0, Math.PI * 2);
       ctx.fill();
-    } else if (enemy.type === 'boss') {
-      // Boss markings
+    }
+    
+    if (enemy.boss) {
+      // Boss markings for boss types and scripted boss groups alike
       ctx.strokeStyle = '#ffffff';
       ctx.lineWidth = 2;
       
@@ -2094,12 +4977,63 @@ function drawEnemies() {
     ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
     ctx.lineWidth = 1;
     ctx.strokeRect(enemy.x - barWidth / 2, enemy.y - enemy.size / 2 - 12, barWidth, barHeight);
+    
+    // Status effect badges above the health bar; stacks shown as a count
+    const badges = enemy.effects.filter(effect => statusEffectStyles[effect.type]);
+    badges.forEach((effect, badgeIndex) => {
+      const style = statusEffectStyles[effect.type];
+      const badgeX = enemy.x + (badgeIndex - (badges.length - 1) / 2) * 12;
+      const badgeY = enemy.y - enemy.size / 2 - 18;
+      
+      ctx.fillStyle = style.color;
+      ctx.font = '10px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillText(effect.stacks > 1 ? `${style.icon}${effect.stacks}` : style.icon, badgeX, badgeY);
+    });
+  });
+}
+
+// Dedicated health bar for the bosses on the field, pinned to the top of the canvas
+function drawBossHealthBar() {
+  const bosses = simulation.state.enemies.filter(enemy => enemy.boss);
+  if (bosses.length === 0) return;
+  
+  const health = bosses.reduce((sum, boss) => sum + Math.max(0, boss.health), 0);
+  const maxHealth = bosses.reduce((sum, boss) => sum + boss.maxHealth, 0);
+  const shield = bosses.reduce((sum, boss) => sum + boss.shield, 0);
+  
+  const barWidth = 360;
+  const barX = (canvas.width - barWidth) / 2;
+  const barY = 14;
+  
+  // Frame and fill
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.fillRect(barX - 4, barY - 4, barWidth + 8, 22);
+  ctx.fillStyle = '#9b2c2c';
+  ctx.fillRect(barX, barY, barWidth, 14);
+  ctx.fillStyle = '#e53e3e';
+  ctx.fillRect(barX, barY, barWidth * (health / maxHealth), 14);
+  
+  // Shield overlay on top of the remaining health
+  if (shield > 0) {
+    ctx.fillStyle = 'rgba(144, 205, 244, 0.7)';
+    ctx.fillRect(barX, barY, barWidth * Math.min(1, shield / maxHealth), 14);
   }
+  
+  ctx.strokeStyle = '#f6e05e';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(barX, barY, barWidth, 14);
+  
+  // Label
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 11px Arial';
+  ctx.textAlign = 'center';
+  ctx.fillText(bosses.length > 1 ? `BOSS x${bosses.length}` : 'BOSS', canvas.width / 2, barY + 11);
 }
 
 // Projectile visualization system
 function drawProjectiles() {
-  for (const projectile of gameState.projectiles) {
+  for (const projectile of simulation.state.projectiles) {
     // Shadow for depth perception
     ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
     ctx.beginPath();
@@ -2183,6 +5117,15 @@ function drawEffects() {
       ctx.font = '16px Arial';
       ctx.textAlign = 'center';
       ctx.fillText(effect.text, effect.x, effect.y);
+    } else if (effect.type === 'banner') {
+      // Full-width announcement strip fading in its final half second
+      ctx.globalAlpha = Math.min(1, effect.lifetime / 30);
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.fillRect(0, canvas.height / 2 - 90, canvas.width, 50);
+      ctx.fillStyle = effect.color;
+      ctx.font = 'bold 28px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillText(effect.text, canvas.width / 2, canvas.height / 2 - 55);
     } else if (effect.type === 'explosion') {
       // Explosive shockwave visualization
       ctx.strokeStyle = effect.color;
@@ -2196,18 +5139,58 @@ function drawEffects() {
   }
 }
 
+// Armed ability area preview at the cursor
+function drawAbilityPreview() {
+  if (!gameState.selectedAbility) return;
+  
+  const ability = playerAbilities[gameState.selectedAbility];
+  const color = abilityStyles[gameState.selectedAbility].color;
+  
+  ctx.globalAlpha = 0.25;
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.arc(gameState.mouseX, gameState.mouseY, ability.radius, 0, Math.PI * 2);
+  ctx.fill();
+  
+  ctx.globalAlpha = 0.8;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.setLineDash([6, 4]);
+  ctx.beginPath();
+  ctx.arc(gameState.mouseX, gameState.mouseY, ability.radius, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  
+  // Enemies caught in the blast or freeze
+  ctx.globalAlpha = 1;
+  for (const enemy of simulation.state.enemies) {
+    const distance = Math.sqrt((enemy.x - gameState.mouseX) ** 2 + (enemy.y - gameState.mouseY) ** 2);
+    if (distance <= ability.radius) {
+      ctx.beginPath();
+      ctx.arc(enemy.x, enemy.y, enemy.size / 2 + 4, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+  
+  ctx.fillStyle = color;
+  ctx.font = '14px Arial';
+  ctx.textAlign = 'center';
+  ctx.fillText(ability.name, gameState.mouseX, gameState.mouseY - ability.radius - 8);
+}
+
 // Tower placement preview system
 function drawTowerPreview() {
   if (gameState.selectedTower) {
     // Tower type properties
-    const towerData = towerTypes[gameState.selectedTower];
+    const towerData = simulation.towerTypes[gameState.selectedTower];
     
     // Grid alignment
-    const gridX = Math.floor(gameState.mouseX / gameState.gridSize) * gameState.gridSize;
-    const gridY = Math.floor(gameState.mouseY / gameState.gridSize) * gameState.gridSize;
+    const gridSize = simulation.state.gridSize;
+    const gridX = Math.floor(gameState.mouseX / gridSize) * gridSize;
+    const gridY = Math.floor(gameState.mouseY / gridSize) * gridSize;
     
     // Placement validation
-    const isValid = isPositionValid(gridX, gridY);
+    const isValid = simulation.canPlaceTower(gridX, gridY);
     
     // Semi-transparent preview
     ctx.globalAlpha = 0.6;
@@ -2235,7 +5218,7 @@ function drawTowerPreview() {
     ctx.setLineDash([]);
     
     // Cost indicator
-    ctx.fillStyle = gameState.money >= towerData.cost ? '#48bb78' : '#e53e3e';
+    ctx.fillStyle = simulation.state.money >= towerData.cost ? '#48bb78' : '#e53e3e';
     ctx.font = '14px Arial';
     ctx.textAlign = 'center';
     ctx.fillText(`$${towerData.cost}`, gridX, gridY - 30);
@@ -2244,6 +5227,39 @@ function drawTowerPreview() {
   }
 }
 
+// Upgrade cost tooltip for hovered structures
+function drawUpgradeHint() {
+  if (!gameState.isPlaying || gameState.selectedTower) return;
+  
+  const tower = simulation.getTowerAt(gameState.mouseX, gameState.mouseY);
+  if (!tower || tower === gameState.selectedPlacedTower) return;
+  
+  const tier = simulation.getNextUpgrade(tower);
+  const label = tier ? `Upgrade: $${tier.cost}` : 'Max level';
+  
+  // Range preview
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([5, 5]);
+  ctx.beginPath();
+  ctx.arc(tower.x, tower.y, tower.range, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  
+  // Cost indicator
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.fillRect(tower.x - 55, tower.y - 48, 110, 22);
+  
+  ctx.font = '14px Arial';
+  ctx.textAlign = 'center';
+  if (!tier) {
+    ctx.fillStyle = '#a0aec0';
+  } else {
+    ctx.fillStyle = simulation.state.money >= tier.cost ? '#48bb78' : '#e53e3e';
+  }
+  ctx.fillText(label, tower.x, tower.y - 32);
+}
+
 // Grid visualization system
 function drawGrid() {
   // Only show enhanced grid during placement phase
@@ -2252,14 +5268,14 @@ function drawGrid() {
   ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
   ctx.lineWidth = 1;
   
-  for (let x = 0; x < canvas.width; x += gameState.gridSize) {
+  for (let x = 0; x < canvas.width; x += simulation.state.gridSize) {
     ctx.beginPath();
     ctx.moveTo(x, 0);
     ctx.lineTo(x, canvas.height);
     ctx.stroke();
   }
   
-  for (let y = 0; y < canvas.height; y += gameState.gridSize) {
+  for (let y = 0; y < canvas.height; y += simulation.state.gridSize) {
     ctx.beginPath();
     ctx.moveTo(0, y);
     ctx.lineTo(canvas.width, y);
@@ -2271,6 +5287,21 @@ function drawGrid() {
 function gameOver(reason = "Game Over") {
   gameState.isPlaying = false;
   
+  // Finished runs cannot be continued
+  saveSystem.clear();
+  
+  // Completed recording stays available from the summary screen
+  const replay = replaySystem.createReplay();
+  
+  // Score table, lifetime tallies and research; editor test plays count for none of them
+  const testPlay = gameState.testPlay;
+  const result = testPlay ? null : recordsSystem.recordRun(simulation.state, simulation.map, gameState.playTime);
+  const researchEarned = testPlay ? 0 : researchSystem.awardRun(simulation.state);
+  const bestLabel = result ? [
+    result.newBestScore && 'score',
+    result.newBestWave && 'wave'
+  ].filter(Boolean).join(' and ') : '';
+  
   // Dramatic audio transition
   audioSystem.stopMusic(1.5); // 1.5 second fade out
   audioSystem.playSound('game-over', { volume: 0.8 });
@@ -2280,8 +5311,17 @@ function gameOver(reason = "Game Over") {
   gameOverDiv.className = 'game-over';
   gameOverDiv.innerHTML = `
     <h2>${reason}</h2>
-    <p>You survived ${gameState.wave} waves</p>
+    ${bestLabel ? `<div class="new-best">New best ${bestLabel}!</div>` : ''}
+    <p>You survived ${simulation.state.wave} waves</p>
+    <p class="final-score">Score: ${simulation.state.stats.score}${result && result.rank ? ` · #${result.rank} on your records` : ''}</p>
+    <p class="research-earned">${testPlay ? 'Test play: not recorded' : `+${researchEarned} research`}</p>
+    <p class="seed-info">Seed: ${simulation.state.seed}</p>
     <button id="restart-button">Play Again</button>
+    ${replay ? `
+    <div class="replay-actions">
+      <button id="watch-replay-button">Watch Replay</button>
+      <button id="export-replay-btn">Export Replay</button>
+    </div>` : ''}
   `;
   
   document.body.appendChild(gameOverDiv);
@@ -2315,6 +5355,30 @@ function gameOver(reason = "Game Over") {
       margin-bottom: 30px;
     }
     
+    .game-over .new-best {
+      font-size: 28px;
+      font-weight: bold;
+      color: #f6e05e;
+      text-shadow: 0 0 12px rgba(246, 224, 94, 0.6);
+      margin-bottom: 10px;
+    }
+    
+    .game-over .final-score {
+      font-size: 20px;
+      color: #f6e05e;
+    }
+    
+    .game-over .research-earned {
+      font-size: 16px;
+      color: #90cdf4;
+    }
+    
+    .game-over .seed-info {
+      font-size: 16px;
+      color: #a0aec0;
+      user-select: all;
+    }
+    
     #restart-button {
       padding: 12px 24px;
       font-size: 18px;
@@ -2328,6 +5392,26 @@ function gameOver(reason = "Game Over") {
     #restart-button:hover {
       background-color: #38a169;
     }
+    
+    .game-over .replay-actions {
+      display: flex;
+      gap: 10px;
+      margin-top: 15px;
+    }
+    
+    .game-over .replay-actions button {
+      padding: 8px 16px;
+      font-size: 14px;
+      background-color: #2d3748;
+      color: white;
+      border: 1px solid #4a5568;
+      border-radius: 4px;
+      cursor: pointer;
+    }
+    
+    .game-over .replay-actions button:hover {
+      background-color: #4a5568;
+    }
   `;
   document.head.appendChild(style);
   
@@ -2339,33 +5423,39 @@ function gameOver(reason = "Game Over") {
     createMainMenu();
     uiElements.startScreen.style.display = 'flex';
   });
+  
+  // Replay of the run that just ended
+  if (replay) {
+    document.getElementById('watch-replay-button').addEventListener('click', () => {
+      document.body.removeChild(gameOverDiv);
+      resetGame();
+      replaySystem.play(replay);
+    });
+    
+    document.getElementById('export-replay-btn').addEventListener('click', () => {
+      replaySystem.exportReplay();
+    });
+  }
 }
 
 // Game state reset system
 function resetGame() {
-  gameState.money = 75;
-  gameState.lives = 1;
-  gameState.wave = 1;
-  gameState.towers = [];
-  gameState.enemies = [];
-  gameState.projectiles = [];
+  // Fresh idle rules engine discards the finished run and its scheduled events
+  replaySystem.reset();
+  simulation = createGameSimulation(generateSeed());
+  applyMapDimensions(simulation.map);
+  gameState.isPlaying = false;
   gameState.effects = [];
   gameState.selectedTower = null;
-  gameState.difficultyFactor = 1.0;
-  gameState.waveCompleted = false;
-  gameState.unlockedTowers = ['basic'];
-  gameState.waveStarted = false;
-  
-  // Clear timers to prevent memory leaks
-  if (gameState.enemySpawnInterval) {
-    clearInterval(gameState.enemySpawnInterval);
-    gameState.enemySpawnInterval = null;
-  }
+  gameState.selectedPlacedTower = null;
+  gameState.selectedAbility = null;
+  gameState.autosavePending = false;
   
-  if (gameState.waveTimeout) {
-    clearTimeout(gameState.waveTimeout);
-    gameState.waveTimeout = null;
-  }
+  gameState.gameSpeed = 1;
+  gameState.paused = false;
+  simulationClock.reset();
+  updatePauseButton();
+  updateSpeedButton();
   
   const uiContainer = document.getElementById('ui-container');
   if (uiContainer) {
@@ -2385,31 +5475,18 @@ function updateTowerAvailability() {
   
   towerButtons.forEach(button => {
     const towerType = button.dataset.type;
-    const unlockWave = parseInt(button.dataset.unlockWave);
-    const towerData = towerTypes[towerType];
+    const towerData = simulation.towerTypes[towerType];
+    
+    // Research discounts vary the price between runs
+    const costLabel = button.querySelector('.tower-cost');
+    if (costLabel) costLabel.textContent = `$${towerData.cost}`;
     
     // Determine if tower is available
-    const isUnlocked = gameState.wave >= unlockWave;
-    const isAffordable = gameState.money >= towerData.cost;
+    const isUnlocked = simulation.isTowerUnlocked(towerType);
+    const isAffordable = simulation.state.money >= towerData.cost;
     
     // Visual state update
     button.disabled = !isUnlocked || !isAffordable;
-    
-    // Track newly unlocked technologies
-    if (isUnlocked && !gameState.unlockedTowers.includes(towerType)) {
-      gameState.unlockedTowers.push(towerType);
-      
-      // Notification for newly unlocked tower
-      if (gameState.isPlaying) {
-        audioSystem.playSound('upgrade');
-        createFloatingText(
-          canvas.width / 2,
-          canvas.height / 2 - 50,
-          `New Tower Unlocked: ${towerData.name}!`,
-          '#f6e05e'
-        );
-      }
-    }
   });
 }
 
@@ -2420,19 +5497,35 @@ function updateUI() {
   const waveElement = document.getElementById('wave-number');
   const livesElement = document.getElementById('lives-count');
   
-  if (moneyElement) moneyElement.textContent = gameState.money;
-  if (waveElement) waveElement.textContent = gameState.wave;
-  if (livesElement) livesElement.textContent = gameState.lives;
+  if (moneyElement) moneyElement.textContent = simulation.state.money;
+  if (waveElement) waveElement.textContent = simulation.state.wave;
+  if (livesElement) livesElement.textContent = simulation.state.lives;
   
   // Update tower availability
   updateTowerAvailability();
+  
+  // Refresh inspection panel affordability
+  updateTowerInfoPanel();
 }
 
 // Main execution loop
-function gameLoop() {
-  if (gameState.gameScreen === 'game' && gameState.isPlaying) {
+function gameLoop(timestamp = performance.now()) {
+  const isActive = gameState.gameScreen === 'game' && gameState.isPlaying && !gameState.paused;
+  
+  // Fixed-step simulation independent of display refresh rate
+  const ticks = simulationClock.advance(timestamp, isActive ? gameState.gameSpeed : 0);
+  
+  // Wall-clock run time for lifetime statistics, unaffected by fast-forward
+  if (isActive && !replaySystem.isPlayback()) {
+    gameState.playTime += simulationClock.lastDelta;
+  }
+  for (let i = 0; i < ticks && gameState.isPlaying && !gameState.paused; i++) {
     update();
   }
+  replaySystem.updateControls();
+  updateNextWaveButton();
+  updateAbilityBar();
+  
   render();
   requestAnimationFrame(gameLoop);
 }
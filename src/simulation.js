@@ -0,0 +1,2264 @@
+// Tower Defense Simulation Core
+// Headless rules engine: no DOM, canvas or audio access. Presentation layers
+// step it tick by tick, read its state and subscribe to the events it emits.
+
+(function (root, factory) {
+  const simulationModule = factory();
+
+  // CommonJS for Node tooling, global namespace for the browser build
+  if (typeof module === 'object' && module.exports) {
+    module.exports = simulationModule;
+  } else {
+    root.TowerDefenseSimulation = simulationModule;
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Fixed simulation step; per-tick movement values are tuned for 60 ticks per second
+  const tickDuration = 1000 / 60;
+
+  // Advanced tower classification system with capability metrics
+  // antiAir marks towers that can engage flying enemies
+  // Upgrade tracks hold additive stat deltas per level; `special` deltas modify ability parameters
+  const towerTypes = {
+    basic: {
+      name: 'Basic Tower',
+      cost: 25,
+      damage: 10,
+      damageType: 'physical',
+      range: 120,
+      fireRate: 1,
+      color: '#4299e1',
+      projectileColor: '#63b3ed',
+      projectileSize: 4,
+      barrelLength: 10,
+      unlockWave: 1,
+      antiAir: true,
+      description: 'Balanced defense with moderate rate of fire',
+      defaultTargeting: 'first',
+      upgrades: [
+        { cost: 30, damage: 5, range: 10, fireRate: 0.2 },
+        { cost: 50, damage: 8, range: 15, fireRate: 0.3 },
+        { cost: 80, damage: 12, range: 20, fireRate: 0.5 }
+      ]
+    },
+    cannon: {
+      name: 'Cannon Tower',
+      cost: 60,
+      damage: 30,
+      damageType: 'explosive',
+      range: 100,
+      fireRate: 0.5,
+      color: '#ed8936',
+      projectileColor: '#f6ad55',
+      projectileSize: 6,
+      barrelLength: 14,
+      unlockWave: 2,
+      antiAir: false,
+      description: 'High damage but slow rate of fire',
+      defaultTargeting: 'first',
+      upgrades: [
+        { cost: 60, damage: 15, range: 10, fireRate: 0.1 },
+        { cost: 90, damage: 25, range: 10, fireRate: 0.1 },
+        { cost: 140, damage: 40, range: 20, fireRate: 0.15 }
+      ]
+    },
+    magic: {
+      name: 'Magic Tower',
+      cost: 100,
+      damage: 15,
+      damageType: 'magic',
+      range: 150,
+      fireRate: 1.5,
+      color: '#9f7aea',
+      projectileColor: '#d6bcfa',
+      projectileSize: 5,
+      barrelLength: 8,
+      unlockWave: 3,
+      antiAir: true,
+      description: 'Fast-firing magical projectiles',
+      defaultTargeting: 'first',
+      upgrades: [
+        { cost: 80, damage: 6, range: 15, fireRate: 0.3 },
+        { cost: 120, damage: 10, range: 20, fireRate: 0.4 },
+        { cost: 180, damage: 15, range: 25, fireRate: 0.5 }
+      ]
+    },
+    sniper: {
+      name: 'Sniper Tower',
+      cost: 150,
+      damage: 80,
+      damageType: 'piercing',
+      range: 250,           // Extended engagement envelope
+      fireRate: 0.25,       // Precision timing model
+      color: '#48bb78',
+      projectileColor: '#c6f6d5',
+      projectileSize: 3,
+      barrelLength: 18,
+      unlockWave: 5,
+      antiAir: true,
+      description: 'Extreme range and damage with laser targeting',
+      defaultTargeting: 'strongest',
+      special: {
+        type: 'critical',
+        criticalChance: 0.2,    // Probabilistic damage amplification
+        criticalMultiplier: 2.5
+      },
+      upgrades: [
+        { cost: 120, damage: 30, range: 25, fireRate: 0.05, special: { criticalChance: 0.05 } },
+        { cost: 180, damage: 50, range: 25, fireRate: 0.05, special: { criticalMultiplier: 0.5 } },
+        { cost: 260, damage: 80, range: 50, fireRate: 0.1, special: { criticalChance: 0.1 } }
+      ]
+    },
+    bomber: {
+      name: 'Bomber Tower',
+      cost: 200,
+      damage: 50,
+      damageType: 'explosive',
+      range: 180,
+      fireRate: 0.3,
+      color: '#f56565',
+      projectileColor: '#fed7d7',
+      projectileSize: 8,
+      barrelLength: 12,
+      unlockWave: 7,
+      antiAir: false,
+      description: 'Area damage explosions affecting multiple enemies',
+      defaultTargeting: 'first',
+      special: {
+        type: 'explosion',
+        radius: 60,          // Area of effect parameter
+        falloff: 0.5         // Damage attenuation coefficient
+      },
+      upgrades: [
+        { cost: 150, damage: 20, range: 10, fireRate: 0.05, special: { radius: 10 } },
+        { cost: 220, damage: 35, range: 15, fireRate: 0.05, special: { radius: 15, falloff: -0.1 } },
+        { cost: 320, damage: 50, range: 20, fireRate: 0.1, special: { radius: 20 } }
+      ]
+    },
+    frost: {
+      name: 'Frost Tower',
+      cost: 80,
+      damage: 4,
+      damageType: 'magic',
+      range: 110,
+      fireRate: 1,
+      color: '#81e6d9',
+      projectileColor: '#e6fffa',
+      projectileSize: 5,
+      barrelLength: 10,
+      unlockWave: 4,
+      antiAir: false,
+      description: 'Chilling shots that slow enemies down',
+      defaultTargeting: 'first',
+      special: {
+        type: 'status',
+        effect: 'slow',
+        effectMagnitude: 0.35,  // Fraction of movement speed removed
+        effectDuration: 1500,   // Milliseconds per application
+        effectChance: 1
+      },
+      upgrades: [
+        { cost: 60, damage: 2, range: 10, fireRate: 0.1, special: { effectMagnitude: 0.05, effectDuration: 250 } },
+        { cost: 90, damage: 3, range: 10, fireRate: 0.1, special: { effectMagnitude: 0.05, effectDuration: 250 } },
+        { cost: 130, damage: 4, range: 15, fireRate: 0.2, special: { effectMagnitude: 0.1, effectDuration: 500 } }
+      ]
+    },
+    venom: {
+      name: 'Venom Tower',
+      cost: 90,
+      damage: 3,
+      damageType: 'magic',
+      range: 130,
+      fireRate: 1.2,
+      color: '#68d391',
+      projectileColor: '#9ae6b4',
+      projectileSize: 4,
+      barrelLength: 11,
+      unlockWave: 6,
+      antiAir: true,
+      description: 'Toxic darts whose poison stacks with every hit',
+      defaultTargeting: 'strongest',
+      special: {
+        type: 'status',
+        effect: 'poison',
+        effectMagnitude: 4,     // Damage per stack each tick
+        effectDuration: 4000,   // Milliseconds, refreshed by every hit
+        effectChance: 1
+      },
+      upgrades: [
+        { cost: 70, damage: 1, range: 10, fireRate: 0.1, special: { effectMagnitude: 1 } },
+        { cost: 110, damage: 2, range: 10, fireRate: 0.1, special: { effectMagnitude: 2, effectDuration: 500 } },
+        { cost: 160, damage: 3, range: 15, fireRate: 0.2, special: { effectMagnitude: 3, effectDuration: 1000 } }
+      ]
+    }
+  };
+
+  // Damage classes; armor is a flat per-hit reduction that magic and piercing hits bypass
+  const damageTypes = {
+    physical: { name: 'Physical', ignoresArmor: false },
+    explosive: { name: 'Explosive', ignoresArmor: false },
+    magic: { name: 'Magic', ignoresArmor: true },
+    piercing: { name: 'Piercing', ignoresArmor: true }
+  };
+
+  // Target prioritization strategies in cycling order
+  const targetingModes = {
+    first: 'First',         // Furthest along the path
+    last: 'Last',           // Least path progress
+    strongest: 'Strongest', // Highest maximum health
+    weakest: 'Weakest',     // Lowest remaining health
+    closest: 'Closest'      // Nearest to the tower
+  };
+
+  // Enemy status effects applied by tower hits and abilities
+  // stacking: 'strongest' keeps the larger magnitude and the later expiry, 'stack' adds a stack
+  // (up to maxStacks) and refreshes the expiry, 'ignore' rejects re-application while active.
+  // Effects with a tickInterval deal magnitude damage per stack every tickInterval ms
+  const statusEffects = {
+    slow: { name: 'Slow', stacking: 'strongest' },   // magnitude: fraction of speed removed
+    burn: { name: 'Burn', stacking: 'strongest', tickInterval: 500 },
+    poison: { name: 'Poison', stacking: 'stack', maxStacks: 5, tickInterval: 1000 },
+    stun: { name: 'Stun', stacking: 'ignore' },      // Halts movement; no re-stun while stunned
+    haste: { name: 'Haste', stacking: 'strongest' }  // magnitude: fraction of speed added
+  };
+
+  // Player-cast abilities, each on its own cooldown (ms) from the moment it is cast
+  // targeted abilities land at a map point within radius; the others apply a run-wide buff for duration ms
+  const playerAbilities = {
+    airstrike: {
+      name: 'Airstrike',
+      description: 'Bombards an area, hitting ground and air, and sets survivors burning',
+      cooldown: 25000,
+      targeted: true,
+      radius: 70,
+      damage: 120,
+      damageType: 'explosive',
+      falloff: 0.5,
+      burnDamage: 8,          // Per burn tick
+      burnDuration: 3000
+    },
+    freeze: {
+      name: 'Freeze',
+      description: 'Stops every enemy in an area for a few seconds',
+      cooldown: 30000,
+      targeted: true,
+      radius: 90,
+      duration: 3000
+    },
+    overdrive: {
+      name: 'Overdrive',
+      description: 'All towers fire faster for a short time',
+      cooldown: 40000,
+      targeted: false,
+      duration: 6000,
+      fireRateMultiplier: 1.5
+    },
+    goldRush: {
+      name: 'Gold Rush',
+      description: 'Defeated enemies pay double for a short time',
+      cooldown: 45000,
+      targeted: false,
+      duration: 8000,
+      rewardMultiplier: 2
+    }
+  };
+
+  // Enemy classification with progressive resistances
+  // resistances: damage type -> fraction of each hit absorbed (negative values are weaknesses)
+  // Flying enemies skip the ground path and cross from its entrance straight to its exit;
+  // splitsInto releases child enemies where the parent dies. lifeCost: lives lost on a leak (default 1);
+  // any enemy a wave script flags as a boss costs at least the boss type's lifeCost
+  const enemyTypes = {
+    basic: {
+      health: 40,
+      speed: 1,
+      reward: 10,
+      armor: 0,
+      resistances: {},
+      color: '#f56565',
+      size: 20,
+      outlineColor: '#c53030'
+    },
+    fast: {
+      health: 25,
+      speed: 2,
+      reward: 15,
+      armor: 0,
+      resistances: { explosive: 0.25 },   // Scatters out of blast centers
+      color: '#ecc94b',
+      size: 15,
+      outlineColor: '#b7791f'
+    },
+    strong: {
+      health: 100,
+      speed: 0.7,
+      reward: 20,
+      armor: 2,
+      resistances: { physical: 0.15, magic: -0.25 },   // Plated but poorly warded
+      lifeCost: 2,
+      color: '#805ad5',
+      size: 25,
+      outlineColor: '#553c9a'
+    },
+    boss: {
+      health: 300,
+      speed: 0.5,
+      reward: 50,
+      armor: 4,
+      resistances: { physical: 0.25, explosive: 0.25, magic: 0.1 },
+      lifeCost: 5,
+      // Abilities fire on their cooldown (ms), the first one cooldown after spawning
+      abilities: [
+        { type: 'summon', cooldown: 8000, minion: 'basic', count: 2 },
+        { type: 'shield', cooldown: 11000, amount: 0.2, duration: 3000 },   // amount: fraction of max health
+        { type: 'heal', cooldown: 7000, radius: 110, amount: 0.15 },        // amount: fraction of each ally's max health
+        { type: 'haste', cooldown: 13000, magnitude: 0.8, duration: 2000 }
+      ],
+      color: '#e53e3e',
+      size: 35,
+      outlineColor: '#9b2c2c'
+    },
+    splitter: {
+      health: 60,
+      speed: 0.9,
+      reward: 12,
+      armor: 0,
+      resistances: { explosive: -0.2 },
+      splitsInto: { type: 'fast', count: 3, rewardScale: 0.5 },   // Released at the death position
+      color: '#38b2ac',
+      size: 24,
+      outlineColor: '#234e52'
+    },
+    flyer: {
+      health: 30,
+      speed: 1.3,
+      reward: 18,
+      armor: 0,
+      resistances: {},
+      flying: true,
+      flightCurve: 0.2,   // Sideways bow of the flight line as a fraction of its length
+      color: '#63b3ed',
+      size: 18,
+      outlineColor: '#2b6cb0'
+    }
+  };
+
+  // Run difficulty presets; lives and money scale the chosen map's starting values and
+  // healthMultiplier stacks on top of the wave's own scaling. Each cleared wave pays
+  // interestRate of unspent gold, up to interestCap; a rate of 0 turns interest off
+  const difficultyModes = {
+    easy: { name: 'Easy', livesMultiplier: 2, moneyMultiplier: 1.5, healthMultiplier: 0.8, rewardMultiplier: 1.2, preparationTime: 10, interestRate: 0.05, interestCap: 60 },
+    normal: { name: 'Normal', livesMultiplier: 1, moneyMultiplier: 1, healthMultiplier: 1, rewardMultiplier: 1, preparationTime: 5, interestRate: 0.05, interestCap: 40 },
+    hard: { name: 'Hard', livesMultiplier: 0.5, moneyMultiplier: 0.8, healthMultiplier: 1.3, rewardMultiplier: 0.85, preparationTime: 3, interestRate: 0.03, interestCap: 25 }
+  };
+
+  // Scripted wave schedule, one entry per wave starting at wave 1
+  // Waves: [{ groups: [{ type, count, spacing, delay, path, healthMultiplier, rewardMultiplier, boss }] }]
+  // Groups run side by side: each spawns count enemies spacing ms apart, the first delay ms
+  // after the wave starts. path pins a route index (null: weighted pick per enemy); the
+  // multipliers scale the enemy type's base health and reward. Waves past the end of the
+  // script come from the procedural generator
+  const defaultWaves = [
+    { groups: [
+      { type: 'basic', count: 8, spacing: 1200, delay: 1200 }
+    ] },
+    { groups: [
+      { type: 'basic', count: 9, spacing: 1150, delay: 1150, healthMultiplier: 1.15, rewardMultiplier: 1.1 }
+    ] },
+    { groups: [
+      { type: 'basic', count: 8, spacing: 1100, delay: 1100, healthMultiplier: 1.3, rewardMultiplier: 1.2 },
+      { type: 'fast', count: 3, spacing: 900, delay: 6000, healthMultiplier: 1.3, rewardMultiplier: 1.2 }
+    ] },
+    { groups: [
+      { type: 'basic', count: 8, spacing: 1050, delay: 1050, healthMultiplier: 1.45, rewardMultiplier: 1.3 },
+      { type: 'fast', count: 4, spacing: 800, delay: 4000, healthMultiplier: 1.45, rewardMultiplier: 1.3 },
+      { type: 'flyer', count: 3, spacing: 1200, delay: 8000, healthMultiplier: 1.45, rewardMultiplier: 1.3 }
+    ] },
+    { groups: [
+      { type: 'strong', count: 8, spacing: 1000, delay: 1000, healthMultiplier: 1.6, rewardMultiplier: 1.4 },
+      { type: 'boss', count: 1, delay: 10000, healthMultiplier: 1.6, rewardMultiplier: 1.4, boss: true }
+    ] },
+    { groups: [
+      { type: 'basic', count: 8, spacing: 950, delay: 950, healthMultiplier: 1.75, rewardMultiplier: 1.5 },
+      { type: 'fast', count: 5, spacing: 700, delay: 3000, healthMultiplier: 1.75, rewardMultiplier: 1.5 },
+      { type: 'strong', count: 3, spacing: 1800, delay: 7000, healthMultiplier: 1.75, rewardMultiplier: 1.5 },
+      { type: 'splitter', count: 3, spacing: 1500, delay: 10000, healthMultiplier: 1.75, rewardMultiplier: 1.5 }
+    ] },
+    { groups: [
+      { type: 'fast', count: 8, spacing: 600, delay: 900, healthMultiplier: 1.9, rewardMultiplier: 1.6 },
+      { type: 'strong', count: 5, spacing: 1500, delay: 2000, healthMultiplier: 1.9, rewardMultiplier: 1.6 },
+      { type: 'basic', count: 6, spacing: 900, delay: 6000, healthMultiplier: 1.9, rewardMultiplier: 1.6 },
+      { type: 'flyer', count: 4, spacing: 1000, delay: 9000, healthMultiplier: 1.9, rewardMultiplier: 1.6 }
+    ] },
+    { groups: [
+      { type: 'basic', count: 6, spacing: 850, delay: 850, healthMultiplier: 2.05, rewardMultiplier: 1.7 },
+      { type: 'fast', count: 6, spacing: 600, delay: 2500, healthMultiplier: 2.05, rewardMultiplier: 1.7 },
+      { type: 'strong', count: 6, spacing: 1300, delay: 5000, healthMultiplier: 2.05, rewardMultiplier: 1.7 },
+      { type: 'splitter', count: 5, spacing: 1100, delay: 8000, healthMultiplier: 2.05, rewardMultiplier: 1.7 }
+    ] },
+    { groups: [
+      { type: 'strong', count: 8, spacing: 1000, delay: 800, healthMultiplier: 2.2, rewardMultiplier: 1.8 },
+      { type: 'fast', count: 10, spacing: 500, delay: 4000, healthMultiplier: 2.2, rewardMultiplier: 1.8 },
+      { type: 'flyer', count: 6, spacing: 800, delay: 7000, healthMultiplier: 2.2, rewardMultiplier: 1.8 }
+    ] },
+    { groups: [
+      { type: 'strong', count: 10, spacing: 900, delay: 800, healthMultiplier: 2.35, rewardMultiplier: 1.9 },
+      { type: 'boss', count: 2, spacing: 5000, delay: 8000, healthMultiplier: 2.35, rewardMultiplier: 1.9, boss: true }
+    ] }
+  ];
+
+  // Built-in battlefields
+  // Maps: { id, name, description, difficulty, width, height, startingMoney, startingLives,
+  //         pathClearance, paths: [[{ x, y }]], pathWeights: [number], blockedCells: [{ col, row }],
+  //         terrain: [{ type, x, y, size }], waves? }
+  // Each path is a complete entrance-to-exit route; routes sharing a prefix fork, routes sharing
+  // a suffix merge. pathWeights bias which route a spawned enemy takes (default: equal).
+  // Terrain is decorative only; pair it with blocked cells to keep towers off it.
+  // waves optionally replaces the default wave script for this map
+  const mapDifficulties = ['easy', 'normal', 'hard']; // Recommended challenge labels
+  const terrainTypes = ['tree', 'rock', 'water'];
+
+  const builtInMaps = [
+    {
+      id: 'classic',
+      name: 'Classic',
+      description: 'The original switchback valley',
+      difficulty: 'normal',
+      width: 800,
+      height: 600,
+      startingMoney: 75,
+      startingLives: 10,
+      pathClearance: 30,    // Minimum tower distance from a route
+      paths: [[
+        { x: 0, y: 120 },
+        { x: 200, y: 120 },
+        { x: 200, y: 280 },
+        { x: 400, y: 280 },
+        { x: 400, y: 120 },
+        { x: 600, y: 120 },
+        { x: 600, y: 400 },
+        { x: 800, y: 400 }
+      ]],
+      blockedCells: [],     // Grid cells where towers may not be built
+      terrain: [
+        { type: 'tree', x: 90, y: 470, size: 22 },
+        { type: 'tree', x: 130, y: 520, size: 18 },
+        { type: 'rock', x: 720, y: 520, size: 16 },
+        { type: 'tree', x: 740, y: 60, size: 20 }
+      ]
+    },
+    {
+      id: 'meadow',
+      name: 'Winding Meadow',
+      description: 'One long serpentine road with plenty of room to build',
+      difficulty: 'easy',
+      width: 800,
+      height: 600,
+      startingMoney: 100,
+      startingLives: 15,
+      pathClearance: 30,
+      paths: [[
+        { x: 0, y: 80 },
+        { x: 720, y: 80 },
+        { x: 720, y: 240 },
+        { x: 80, y: 240 },
+        { x: 80, y: 400 },
+        { x: 720, y: 400 },
+        { x: 720, y: 520 },
+        { x: 800, y: 520 }
+      ]],
+      blockedCells: [],
+      terrain: [
+        { type: 'tree', x: 30, y: 560, size: 20 },
+        { type: 'tree', x: 400, y: 560, size: 24 },
+        { type: 'water', x: 200, y: 540, size: 36 }
+      ]
+    },
+    {
+      id: 'crossroads',
+      name: 'Crossroads',
+      description: 'Two roads converge on the exit; cover both approaches',
+      difficulty: 'hard',
+      width: 800,
+      height: 600,
+      startingMoney: 125,
+      startingLives: 8,
+      pathClearance: 30,
+      paths: [
+        [
+          { x: 0, y: 160 },
+          { x: 320, y: 160 },
+          { x: 320, y: 320 },
+          { x: 800, y: 320 }
+        ],
+        [
+          { x: 0, y: 480 },
+          { x: 480, y: 480 },
+          { x: 480, y: 320 },
+          { x: 800, y: 320 }
+        ]
+      ],
+      pathWeights: [1, 1],
+      blockedCells: [
+        { col: 15, row: 2 },
+        { col: 16, row: 2 },
+        { col: 15, row: 3 },
+        { col: 16, row: 3 }
+      ],
+      terrain: [
+        { type: 'water', x: 640, y: 120, size: 50 },
+        { type: 'rock', x: 140, y: 320, size: 18 }
+      ]
+    },
+    {
+      id: 'keep',
+      name: 'Stone Keep',
+      description: 'A ruined keep blocks the centre of the field',
+      difficulty: 'normal',
+      width: 800,
+      height: 600,
+      startingMoney: 90,
+      startingLives: 10,
+      pathClearance: 30,
+      paths: [[
+        { x: 400, y: 0 },
+        { x: 400, y: 120 },
+        { x: 120, y: 120 },
+        { x: 120, y: 480 },
+        { x: 640, y: 480 },
+        { x: 640, y: 240 },
+        { x: 800, y: 240 }
+      ]],
+      blockedCells: [
+        { col: 7, row: 6 },
+        { col: 8, row: 6 },
+        { col: 9, row: 6 },
+        { col: 7, row: 7 },
+        { col: 8, row: 7 },
+        { col: 9, row: 7 },
+        { col: 7, row: 8 },
+        { col: 8, row: 8 },
+        { col: 9, row: 8 }
+      ],
+      terrain: [
+        { type: 'rock', x: 300, y: 260, size: 20 },
+        { type: 'rock', x: 350, y: 300, size: 26 },
+        { type: 'rock', x: 300, y: 340, size: 18 },
+        { type: 'tree', x: 720, y: 560, size: 22 }
+      ]
+    },
+    {
+      id: 'fork',
+      name: 'Forked Pass',
+      description: 'One entrance splits around a ridge and rejoins; most enemies take the north road',
+      difficulty: 'normal',
+      width: 800,
+      height: 600,
+      startingMoney: 100,
+      startingLives: 10,
+      pathClearance: 30,
+      paths: [
+        [
+          { x: 0, y: 300 },
+          { x: 200, y: 300 },
+          { x: 200, y: 140 },
+          { x: 600, y: 140 },
+          { x: 600, y: 300 },
+          { x: 800, y: 300 }
+        ],
+        [
+          { x: 0, y: 300 },
+          { x: 200, y: 300 },
+          { x: 200, y: 460 },
+          { x: 600, y: 460 },
+          { x: 600, y: 300 },
+          { x: 800, y: 300 }
+        ]
+      ],
+      pathWeights: [2, 1],
+      blockedCells: [
+        { col: 9, row: 7 },
+        { col: 10, row: 7 },
+        { col: 11, row: 7 }
+      ],
+      terrain: [
+        { type: 'rock', x: 380, y: 300, size: 24 },
+        { type: 'rock', x: 440, y: 290, size: 18 },
+        { type: 'tree', x: 60, y: 80, size: 20 },
+        { type: 'tree', x: 740, y: 540, size: 22 }
+      ]
+    }
+  ];
+
+  const defaultMap = builtInMaps[0];
+
+  // Flight line from a route's entrance to its exit, bowed sideways into a quadratic curve
+  function createFlightPath(route, curve, segments = 16) {
+    const start = route[0];
+    const end = route[route.length - 1];
+    if (!curve) return [start, end];
+
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const control = {
+      x: (start.x + end.x) / 2 - dy * curve,
+      y: (start.y + end.y) / 2 + dx * curve
+    };
+
+    // Sampled polyline so flyers reuse waypoint movement
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+      const t = i / segments;
+      const inverse = 1 - t;
+      points.push({
+        x: inverse * inverse * start.x + 2 * inverse * t * control.x + t * t * end.x,
+        y: inverse * inverse * start.y + 2 * inverse * t * control.y + t * t * end.y
+      });
+    }
+    return points;
+  }
+
+  // Single waypoint list validation; zero-length segments would stall enemy movement
+  function normalizeRoute(points, routeIndex) {
+    if (!Array.isArray(points)) {
+      throw new Error(`Path ${routeIndex + 1} must be an array of waypoints`);
+    }
+
+    const route = [];
+    points.forEach((point, index) => {
+      if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+        throw new Error(`Path ${routeIndex + 1} waypoint ${index + 1} has invalid coordinates`);
+      }
+
+      const previous = route[route.length - 1];
+      if (!previous || previous.x !== point.x || previous.y !== point.y) {
+        route.push({ x: point.x, y: point.y });
+      }
+    });
+    if (route.length < 2) {
+      throw new Error(`Path ${routeIndex + 1} needs at least two distinct waypoints`);
+    }
+
+    return route;
+  }
+
+  // Map document validation; returns a clean copy or throws on the first problem found
+  function normalizeMap(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Map must be a JSON object');
+    }
+
+    const width = data.width !== undefined ? data.width : defaultMap.width;
+    const height = data.height !== undefined ? data.height : defaultMap.height;
+    if (!Number.isFinite(width) || !Number.isFinite(height) || width <= 0 || height <= 0) {
+      throw new Error('Map width and height must be positive numbers');
+    }
+
+    // Single-path documents predate multi-route maps
+    const routes = data.paths !== undefined ? data.paths : (data.path !== undefined ? [data.path] : undefined);
+    if (!Array.isArray(routes) || routes.length === 0) {
+      throw new Error('Map needs at least one path');
+    }
+    const paths = routes.map(normalizeRoute);
+
+    const pathWeights = data.pathWeights !== undefined ? data.pathWeights : paths.map(() => 1);
+    if (!Array.isArray(pathWeights) || pathWeights.length !== paths.length ||
+        pathWeights.some(weight => !Number.isFinite(weight) || weight <= 0)) {
+      throw new Error('Map pathWeights needs one positive number per path');
+    }
+
+    const blockedCells = (data.blockedCells || []).map(cell => {
+      if (!cell || !Number.isInteger(cell.col) || !Number.isInteger(cell.row)) {
+        throw new Error('Blocked cells need integer col and row values');
+      }
+      return { col: cell.col, row: cell.row };
+    });
+
+    const terrain = (data.terrain || []).map(feature => {
+      if (!feature || !terrainTypes.includes(feature.type) ||
+          !Number.isFinite(feature.x) || !Number.isFinite(feature.y) || !Number.isFinite(feature.size)) {
+        throw new Error(`Terrain features need a type (${terrainTypes.join(', ')}), x, y and size`);
+      }
+      return { type: feature.type, x: feature.x, y: feature.y, size: feature.size };
+    });
+
+    const pathClearance = data.pathClearance !== undefined ? data.pathClearance : defaultMap.pathClearance;
+    if (!Number.isFinite(pathClearance) || pathClearance < 0) {
+      throw new Error('Map pathClearance must be a non-negative number');
+    }
+
+    const startingMoney = data.startingMoney !== undefined ? data.startingMoney : defaultMap.startingMoney;
+    const startingLives = data.startingLives !== undefined ? data.startingLives : defaultMap.startingLives;
+    if (!Number.isInteger(startingMoney) || startingMoney < 0 || !Number.isInteger(startingLives) || startingLives < 1) {
+      throw new Error('Map startingMoney must be a whole number and startingLives at least 1');
+    }
+
+    const difficulty = data.difficulty !== undefined ? data.difficulty : 'normal';
+    if (!mapDifficulties.includes(difficulty)) {
+      throw new Error(`Map difficulty must be one of: ${mapDifficulties.join(', ')}`);
+    }
+
+    if (data.interest !== undefined) {
+      if (!data.interest || typeof data.interest !== 'object') {
+        throw new Error('Map interest must be an object with rate and cap');
+      }
+      validateInterest(data.interest.rate, data.interest.cap);
+    }
+
+    const map = {
+      id: typeof data.id === 'string' && data.id ? data.id : 'custom',
+      name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Custom Map',
+      description: typeof data.description === 'string' ? data.description : '',
+      difficulty,
+      width,
+      height,
+      startingMoney,
+      startingLives,
+      pathClearance,
+      paths,
+      pathWeights: pathWeights.slice(),
+      blockedCells,
+      terrain
+    };
+
+    // Maps may ship their own wave script in place of the default one
+    if (data.waves !== undefined) {
+      map.waves = normalizeWaves(data.waves, enemyTypes, paths.length);
+    }
+
+    // ...and their own banking terms in place of the difficulty's
+    if (data.interest !== undefined) {
+      map.interest = { rate: data.interest.rate, cap: data.interest.cap };
+    }
+
+    return map;
+  }
+
+  // Wave script validation against the enemy roster and the map's route count; fills group
+  // defaults and returns a clean copy or throws
+  function normalizeWaves(data, enemyDefinitions = enemyTypes, routeCount = defaultMap.paths.length) {
+    if (!Array.isArray(data)) {
+      throw new Error('Wave script must be an array of waves');
+    }
+
+    return data.map((wave, waveIndex) => {
+      const label = `Wave ${waveIndex + 1}`;
+      if (!wave || !Array.isArray(wave.groups) || wave.groups.length === 0) {
+        throw new Error(`${label} needs at least one enemy group`);
+      }
+
+      const groups = wave.groups.map((group, groupIndex) => {
+        const prefix = `${label} group ${groupIndex + 1}`;
+        if (!group || !enemyDefinitions[group.type]) {
+          throw new Error(`${prefix} has unknown enemy type "${group && group.type}"`);
+        }
+
+        const normalized = {
+          type: group.type,
+          count: group.count !== undefined ? group.count : 1,
+          spacing: group.spacing !== undefined ? group.spacing : 1000,
+          delay: group.delay !== undefined ? group.delay : 0,
+          path: group.path !== undefined ? group.path : null,
+          healthMultiplier: group.healthMultiplier !== undefined ? group.healthMultiplier : 1,
+          rewardMultiplier: group.rewardMultiplier !== undefined ? group.rewardMultiplier : 1,
+          boss: Boolean(group.boss)
+        };
+
+        if (!Number.isInteger(normalized.count) || normalized.count < 1) {
+          throw new Error(`${prefix} count must be a whole number of at least 1`);
+        }
+        if (!Number.isFinite(normalized.spacing) || normalized.spacing <= 0 ||
+            !Number.isFinite(normalized.delay) || normalized.delay < 0) {
+          throw new Error(`${prefix} needs a positive spacing and a non-negative delay`);
+        }
+        if (normalized.path !== null && (!Number.isInteger(normalized.path) || normalized.path < 0)) {
+          throw new Error(`${prefix} path must be a route index or null`);
+        }
+        if (normalized.path !== null && normalized.path >= routeCount) {
+          throw new Error(`${prefix} path ${normalized.path} is out of range for a map with ${routeCount} route${routeCount === 1 ? '' : 's'}`);
+        }
+        if (!Number.isFinite(normalized.healthMultiplier) || normalized.healthMultiplier <= 0 ||
+            !Number.isFinite(normalized.rewardMultiplier) || normalized.rewardMultiplier < 0) {
+          throw new Error(`${prefix} needs a positive health multiplier and a non-negative reward multiplier`);
+        }
+
+        return normalized;
+      });
+
+      return { groups };
+    });
+  }
+
+  // Interest terms shared by maps and difficulty settings
+  function validateInterest(rate, cap) {
+    if (!Number.isFinite(rate) || rate < 0 || rate > 1 || !Number.isInteger(cap) || cap < 0) {
+      throw new Error('Interest rate must be between 0 and 100% and the cap a non-negative whole number');
+    }
+  }
+
+  // Run settings for a difficulty mode on a map: { mode, name, startingLives, startingMoney,
+  // healthMultiplier, rewardMultiplier, preparationTime, interestRate, interestCap }. A map's
+  // interest block replaces the preset's; 'custom' starts from Normal and takes any of those
+  // values from overrides; throws on invalid values
+  function resolveDifficulty(mode = 'normal', map = defaultMap, overrides = {}) {
+    const preset = difficultyModes[mode] || (mode === 'custom' ? difficultyModes.normal : null);
+    if (!preset) {
+      throw new Error(`Unknown difficulty mode "${mode}"`);
+    }
+
+    const settings = {
+      mode,
+      name: mode === 'custom' ? 'Custom' : preset.name,
+      startingLives: Math.max(1, Math.round(map.startingLives * preset.livesMultiplier)),
+      startingMoney: Math.round(map.startingMoney * preset.moneyMultiplier),
+      healthMultiplier: preset.healthMultiplier,
+      rewardMultiplier: preset.rewardMultiplier,
+      preparationTime: preset.preparationTime,
+      interestRate: map.interest ? map.interest.rate : preset.interestRate,
+      interestCap: map.interest ? map.interest.cap : preset.interestCap
+    };
+
+    if (mode === 'custom') {
+      for (const key of ['startingLives', 'startingMoney', 'healthMultiplier', 'rewardMultiplier', 'preparationTime', 'interestRate', 'interestCap']) {
+        if (overrides[key] !== undefined) settings[key] = overrides[key];
+      }
+    }
+
+    if (!Number.isInteger(settings.startingLives) || settings.startingLives < 1) {
+      throw new Error('Starting lives must be a whole number of at least 1');
+    }
+    if (!Number.isInteger(settings.startingMoney) || settings.startingMoney < 0) {
+      throw new Error('Starting money must be a non-negative whole number');
+    }
+    if (!Number.isFinite(settings.healthMultiplier) || settings.healthMultiplier <= 0 ||
+        !Number.isFinite(settings.rewardMultiplier) || settings.rewardMultiplier < 0) {
+      throw new Error('Enemy health must be positive and rewards non-negative');
+    }
+    if (!Number.isInteger(settings.preparationTime) || settings.preparationTime < 1) {
+      throw new Error('Preparation time must be a whole number of seconds, at least 1');
+    }
+    validateInterest(settings.interestRate, settings.interestCap);
+
+    return settings;
+  }
+
+  // Deterministic pseudo-random generator (mulberry32) with serializable state
+  function createRandomGenerator(seed) {
+    return {
+      state: seed >>> 0,
+
+      // Uniform value in [0, 1)
+      next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      }
+    };
+  }
+
+  // Fresh 32-bit seed for unseeded runs
+  function generateSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+
+  // Seed normalization: numeric input is used directly, other text is hashed
+  function parseSeed(value) {
+    const text = String(value || '').trim();
+    if (!text) return generateSeed();
+
+    if (/^\d+$/.test(text)) {
+      return Number(text) % 4294967296;
+    }
+
+    // FNV-1a string hash
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  // Simulation factory: config { map, towerTypes, enemyTypes, waves, difficulty, seed, startingMoney,
+  // startingLives, preparationTime, sellRefundRate, earlyCallBonusRate, gridSize }; difficulty is
+  // resolveDifficulty output (default: Normal on the map) and explicit money, lives and preparation
+  // values override it; waves default to the map's script and then the default one
+  function createSimulation(config = {}) {
+    const map = config.map || defaultMap;
+    const difficulty = config.difficulty || resolveDifficulty('normal', map);
+    const paths = map.paths;
+    const pathWeights = map.pathWeights || paths.map(() => 1);
+    const pathClearance = map.pathClearance !== undefined ? map.pathClearance : defaultMap.pathClearance;
+    const blockedCells = new Set((map.blockedCells || []).map(cell => `${cell.col},${cell.row}`));
+    const towerDefinitions = config.towerTypes || towerTypes;
+    const enemyDefinitions = config.enemyTypes || enemyTypes;
+    const waves = normalizeWaves(config.waves || map.waves || defaultWaves, enemyDefinitions, paths.length);
+    const seed = config.seed !== undefined ? config.seed >>> 0 : generateSeed();
+    const nextWaveDelay = 8;    // Seconds between a cleared wave and the next
+    const bossLifeCost = (enemyDefinitions.boss && enemyDefinitions.boss.lifeCost) || 1;
+    const earlyCallBonusRate = config.earlyCallBonusRate !== undefined ? config.earlyCallBonusRate : 5; // Gold per skipped second
+    const listeners = {};
+    const flightPaths = {};     // Lazily built flight lines keyed by route and curve
+
+    // Core game state architecture with balanced resource allocation and wave tracking
+    const state = {
+      seed,
+      rng: createRandomGenerator(seed), // Gameplay random stream
+      tick: 0,
+      gameTime: 0,              // Simulated milliseconds
+      money: config.startingMoney !== undefined ? config.startingMoney : difficulty.startingMoney,
+      lives: config.startingLives !== undefined ? config.startingLives : difficulty.startingLives,
+      wave: 1,
+      towers: [],
+      enemies: [],
+      projectiles: [],
+      gridSize: config.gridSize || 40,
+      sellRefundRate: config.sellRefundRate !== undefined ? config.sellRefundRate : 0.7,
+      started: false,
+      isOver: false,
+      spawner: null,            // Active wave spawn schedule
+      countdown: null,          // Active preparation or inter-wave countdown
+      pendingBonus: null,       // Scheduled wave completion payout
+      preparationPhase: true,
+      preparationTime: config.preparationTime !== undefined ? config.preparationTime : difficulty.preparationTime,
+      preparationTimer: 0,
+      difficultyFactor: 1.0,    // Dynamic scaling coefficient
+      difficulty,               // Run difficulty settings
+      healthMultiplier: difficulty.healthMultiplier,  // Mode scaling on top of each wave's
+      rewardMultiplier: difficulty.rewardMultiplier,
+      interestRate: difficulty.interestRate || 0,     // Runs saved before banking earn none
+      interestCap: difficulty.interestCap || 0,
+      waveCompleted: false,
+      unlockedTowers: [],       // Progressive technology unlock system
+      waveStarted: false,       // Critical state tracking for progression synchronization
+      stats: createRunStats(),  // Score and per-run tallies for records
+      abilityReadyAt: {},       // Player ability id to the game time it can be cast again
+      buffs: {}                 // Active player ability buffs: id to expiry game time
+    };
+    state.preparationTimer = state.preparationTime;
+
+    const simulation = {
+      state,
+      map,
+      towerTypes: towerDefinitions,
+      enemyTypes: enemyDefinitions,
+      waves,
+      tickDuration,
+
+      // Event subscription; returns an unsubscribe function
+      on(type, handler) {
+        (listeners[type] = listeners[type] || []).push(handler);
+        return () => {
+          listeners[type] = listeners[type].filter(h => h !== handler);
+        };
+      },
+
+      // Preparation phase entry for a fresh run
+      start() {
+        state.started = true;
+        state.preparationPhase = true;
+        state.preparationTimer = state.preparationTime;
+        refreshUnlocks(true);
+        startCountdown('preparation', state.preparationTimer);
+        emit('started', { preparationTime: state.preparationTime });
+      },
+
+      // Single fixed simulation tick
+      step() {
+        if (!state.started || state.isOver) return;
+
+        // Advance the game clock
+        state.tick++;
+        state.gameTime += tickDuration;
+
+        // Advance scheduled wave events
+        updateCountdown();
+        updateSpawner();
+        updatePendingBonus();
+
+        // Check for wave completion condition
+        checkWaveCompletion();
+
+        // Enemy abilities, then damage-over-time ticks and effect expiry ahead of movement
+        updateAbilities();
+        updateStatusEffects();
+
+        // Update enemy movement and state
+        updateEnemies();
+        if (state.isOver) return;
+
+        // Update tower targeting and firing
+        updateTowers(state.gameTime);
+
+        // Update projectile movement and collision
+        updateProjectiles();
+      },
+
+      // Multiple ticks in sequence
+      advance(ticks) {
+        for (let i = 0; i < ticks && !state.isOver; i++) {
+          simulation.step();
+        }
+      },
+
+      isTowerUnlocked(towerType) {
+        const towerData = towerDefinitions[towerType];
+        return Boolean(towerData) && state.wave >= towerData.unlockWave;
+      },
+
+      // Placement validation system with proximity detection
+      canPlaceTower(x, y) {
+        // Boundary validation
+        if (x < 20 || y < 20 || x > map.width - 20 || y > map.height - 20) {
+          return false;
+        }
+
+        // Designer-restricted cells under any part of the footprint; towers sit on grid
+        // corners, so a cell-sized footprint spans the four cells meeting there
+        const half = state.gridSize / 2;
+        const minCol = Math.floor((x - half) / state.gridSize);
+        const maxCol = Math.ceil((x + half) / state.gridSize) - 1;
+        const minRow = Math.floor((y - half) / state.gridSize);
+        const maxRow = Math.ceil((y + half) / state.gridSize) - 1;
+        for (let col = minCol; col <= maxCol; col++) {
+          for (let row = minRow; row <= maxRow; row++) {
+            if (blockedCells.has(`${col},${row}`)) {
+              return false;
+            }
+          }
+        }
+
+        // Collision detection with existing structures
+        for (const tower of state.towers) {
+          if (Math.abs(tower.x - x) < state.gridSize && Math.abs(tower.y - y) < state.gridSize) {
+            return false;
+          }
+        }
+
+        // Path proximity validation with parametric assessment across every route
+        for (const path of paths) {
+          for (let i = 0; i < path.length - 1; i++) {
+            const dx = path[i + 1].x - path[i].x;
+            const dy = path[i + 1].y - path[i].y;
+            const length = Math.sqrt(dx * dx + dy * dy);
+            const steps = Math.ceil(length / 10); // Precision factor
+
+            for (let j = 0; j <= steps; j++) {
+              const pathX = path[i].x + (dx * j / steps);
+              const pathY = path[i].y + (dy * j / steps);
+              const distance = Math.sqrt((pathX - x) ** 2 + (pathY - y) ** 2);
+
+              if (distance < pathClearance) {
+                return false;
+              }
+            }
+          }
+        }
+
+        return true;
+      },
+
+      // Tower instantiation with unlock, funds and position validation
+      placeTower(x, y, towerType) {
+        const towerData = towerDefinitions[towerType];
+        if (!towerData) {
+          return reject('unknownTower', x, y);
+        }
+        if (!simulation.isTowerUnlocked(towerType)) {
+          return reject('locked', x, y, { unlockWave: towerData.unlockWave });
+        }
+        if (state.money < towerData.cost) {
+          return reject('insufficientFunds', x, y);
+        }
+        if (!simulation.canPlaceTower(x, y)) {
+          return reject('invalidPosition', x, y);
+        }
+
+        const tower = createTower(x, y, towerType);
+        state.money -= tower.cost;
+        state.towers.push(tower);
+
+        countStat(state.stats.towersBuilt, towerType);
+
+        emit('towerPlaced', { tower });
+        return tower;
+      },
+
+      // Structure lookup by map coordinates
+      getTowerAt(x, y) {
+        return state.towers.find(tower =>
+          Math.sqrt((tower.x - x) ** 2 + (tower.y - y) ** 2) <= 20
+        ) || null;
+      },
+
+      // Next tier of a tower's upgrade track, or null once fully upgraded
+      getNextUpgrade(tower) {
+        const upgrades = towerDefinitions[tower.type].upgrades || [];
+        return upgrades[tower.level - 1] || null;
+      },
+
+      getMaxLevel(towerType) {
+        return (towerDefinitions[towerType].upgrades || []).length + 1;
+      },
+
+      // Tower upgrade with funds validation
+      upgradeTower(tower) {
+        const tier = simulation.getNextUpgrade(tower);
+
+        if (!tier) {
+          return reject('maxLevel', tower.x, tower.y);
+        }
+        if (state.money < tier.cost) {
+          return reject('insufficientFunds', tower.x, tower.y);
+        }
+
+        state.money -= tier.cost;
+        tower.totalSpent += tier.cost;
+        applyUpgradeTier(tower, tier);
+
+        emit('towerUpgraded', { tower, tier });
+        return true;
+      },
+
+      // Sale value of a structure based on total investment
+      getSellValue(tower) {
+        return Math.floor(tower.totalSpent * state.sellRefundRate);
+      },
+
+      // Tower liquidation with partial refund
+      sellTower(tower) {
+        if (!state.towers.includes(tower)) return 0;
+
+        const refund = simulation.getSellValue(tower);
+        state.money += refund;
+        state.towers = state.towers.filter(t => t !== tower);
+
+        emit('towerSold', { tower, refund });
+        return refund;
+      },
+
+      // Targeting mode rotation for a placed structure
+      cycleTargetingMode(tower) {
+        const modes = Object.keys(targetingModes);
+        const nextIndex = (modes.indexOf(tower.targetingMode) + 1) % modes.length;
+        tower.targetingMode = modes[nextIndex];
+
+        emit('targetingChanged', { tower });
+        return tower.targetingMode;
+      },
+
+      // Gold for calling the next wave now, or null while the current wave is still spawning;
+      // pays earlyCallBonusRate per skipped second, counting a full nextWaveDelay mid-wave
+      getEarlyCallBonus() {
+        if (!state.started || state.isOver) return null;
+        if (!state.countdown && state.spawner) return null;
+
+        const countdown = state.countdown;
+        const secondsSkipped = countdown
+          ? (countdown.remaining - 1) + (countdown.nextTickAt - state.gameTime) / 1000
+          : nextWaveDelay;
+        return Math.floor(secondsSkipped * earlyCallBonusRate);
+      },
+
+      // Skip the pending countdown, or bring the next wave onto a field the current one still holds
+      callNextWave() {
+        if (!state.started || state.isOver) {
+          return reject('notStarted');
+        }
+
+        // A field cleared earlier this tick counts as a finished wave, bonus and interest included
+        checkWaveCompletion();
+
+        const bonus = simulation.getEarlyCallBonus();
+        if (bonus === null) {
+          return reject('waveSpawning');
+        }
+
+        const countdown = state.countdown;
+        state.money += bonus;
+        state.stats.goldEarned += bonus;
+
+        // Mid-wave calls forfeit the current wave's completion bonus
+        state.countdown = null;
+        finishCountdown(countdown ? countdown.type : 'nextWave');
+
+        emit('waveCalled', { wave: state.wave, bonus, duringWave: !countdown });
+        return bonus;
+      },
+
+      // Milliseconds until a player ability can be cast again
+      getAbilityCooldown(abilityId) {
+        return Math.max(0, (state.abilityReadyAt[abilityId] || 0) - state.gameTime);
+      },
+
+      isBuffActive(abilityId) {
+        return (state.buffs[abilityId] || 0) > state.gameTime;
+      },
+
+      // Player ability cast; targeted abilities need a map point
+      castAbility(abilityId, x, y) {
+        const ability = playerAbilities[abilityId];
+        if (!ability) {
+          return reject('unknownAbility', x, y);
+        }
+        if (!state.started || state.isOver) {
+          return reject('notStarted', x, y);
+        }
+        if (ability.targeted && (!Number.isFinite(x) || !Number.isFinite(y))) {
+          return reject('invalidPosition', x, y);
+        }
+        const cooldown = simulation.getAbilityCooldown(abilityId);
+        if (cooldown > 0) {
+          return reject('abilityCooldown', x, y, { ability: abilityId, readyIn: cooldown });
+        }
+
+        state.abilityReadyAt[abilityId] = state.gameTime + ability.cooldown;
+
+        let affected = [];
+        if (ability.targeted) {
+          // Snapshot first: defeats and splits reshape the enemy list mid-cast
+          affected = state.enemies.filter(enemy => Math.sqrt((enemy.x - x) ** 2 + (enemy.y - y) ** 2) <= ability.radius);
+        } else {
+          state.buffs[abilityId] = state.gameTime + ability.duration;
+        }
+
+        emit('abilityCast', { ability: abilityId, x, y, affected });
+
+        if (abilityId === 'airstrike') {
+          emit('explosion', { x, y, radius: ability.radius, ability: abilityId });
+          affected.forEach(enemy => {
+            const distance = Math.sqrt((enemy.x - x) ** 2 + (enemy.y - y) ** 2);
+            const damage = Math.floor(ability.damage * (1 - (distance / ability.radius) * ability.falloff));
+            damageEnemy(enemy, damage, { source: abilityId, damageType: ability.damageType });
+            if (state.enemies.includes(enemy)) {
+              applyStatusEffect(enemy, 'burn', ability.burnDamage, ability.burnDuration);
+            }
+          });
+        } else if (abilityId === 'freeze') {
+          affected.forEach(enemy => applyStatusEffect(enemy, 'stun', 1, ability.duration));
+        }
+
+        return true;
+      },
+
+      // Cumulative distance travelled along the path
+      getPathProgress(enemy) {
+        const path = getEnemyPath(enemy);
+        let distance = enemy.progress;
+
+        for (let i = 0; i < enemy.pathIndex; i++) {
+          distance += Math.sqrt((path[i + 1].x - path[i].x) ** 2 + (path[i + 1].y - path[i].y) ** 2);
+        }
+
+        return distance;
+      },
+
+      // Plain-data snapshot of the run; towers keep only per-instance state
+      serialize() {
+        return {
+          seed: state.seed,
+          map,                  // Fixed at construction; pass back in config to resume
+          difficulty: state.difficulty,
+          rngState: state.rng.state,
+          money: state.money,
+          lives: state.lives,
+          wave: state.wave,
+          tick: state.tick,
+          gameTime: state.gameTime,
+          difficultyFactor: state.difficultyFactor,
+          preparationPhase: state.preparationPhase,
+          preparationTimer: state.preparationTimer,
+          waveStarted: state.waveStarted,
+          waveCompleted: state.waveCompleted,
+          unlockedTowers: state.unlockedTowers.slice(),
+          abilityReadyAt: { ...state.abilityReadyAt },
+          buffs: { ...state.buffs },
+          stats: {
+            ...state.stats,
+            kills: { ...state.stats.kills },
+            towersBuilt: { ...state.stats.towersBuilt }
+          },
+          spawner: state.spawner && {
+            groups: state.spawner.groups.map(group => ({ ...group }))
+          },
+          countdown: state.countdown && { ...state.countdown },
+          pendingBonus: state.pendingBonus && { ...state.pendingBonus },
+          towers: state.towers.map(tower => ({
+            type: tower.type,
+            x: tower.x,
+            y: tower.y,
+            level: tower.level,
+            targetingMode: tower.targetingMode,
+            totalSpent: tower.totalSpent,
+            lastShot: tower.lastShot,
+            angle: tower.angle
+          })),
+          enemies: state.enemies.map(enemy => ({
+            ...enemy,
+            effects: enemy.effects.map(effect => ({ ...effect })),
+            abilities: enemy.abilities.map(ability => ({ ...ability }))
+          })),
+          // In-flight projectiles reference their target by enemy index
+          projectiles: state.projectiles.map(projectile => ({
+            ...projectile,
+            target: state.enemies.indexOf(projectile.target)
+          }))
+        };
+      },
+
+      // Snapshot restoration; towers are rebuilt from their current templates
+      restore(snapshot) {
+        state.seed = snapshot.seed;
+        state.rng = createRandomGenerator(snapshot.seed);
+        state.rng.state = snapshot.rngState;
+
+        // Economy and progression
+        state.money = snapshot.money;
+        state.lives = snapshot.lives;
+        state.wave = snapshot.wave;
+        state.gameTime = snapshot.gameTime;
+        state.tick = snapshot.tick !== undefined ? snapshot.tick : Math.round(snapshot.gameTime / tickDuration);
+        state.difficultyFactor = snapshot.difficultyFactor;
+        state.unlockedTowers = snapshot.unlockedTowers.slice();
+        state.stats = { ...createRunStats(), ...snapshot.stats };
+        state.abilityReadyAt = { ...snapshot.abilityReadyAt };
+        state.buffs = { ...snapshot.buffs };
+
+        // Phase and scheduled events
+        state.preparationPhase = snapshot.preparationPhase;
+        state.preparationTimer = snapshot.preparationTimer;
+        state.waveStarted = snapshot.waveStarted;
+        state.waveCompleted = snapshot.waveCompleted;
+        state.spawner = snapshot.spawner;
+        state.countdown = snapshot.countdown;
+        state.pendingBonus = snapshot.pendingBonus;
+
+        // Battlefield entities
+        state.towers = snapshot.towers
+          .filter(saved => towerDefinitions[saved.type])
+          .map(restoreTower);
+        state.enemies = snapshot.enemies.filter(enemy => enemyDefinitions[enemy.type]);
+        state.enemies.forEach(enemy => {
+          enemy.route = paths[enemy.route] ? enemy.route : 0;
+          enemy.effects = (enemy.effects || []).filter(effect => statusEffects[effect.type]);
+
+          // Enemies saved before damage types take their type's current defenses
+          if (enemy.armor === undefined) {
+            enemy.armor = enemyDefinitions[enemy.type].armor || 0;
+            enemy.resistances = { ...enemyDefinitions[enemy.type].resistances };
+          }
+          enemy.abilities = enemy.abilities || [];
+          enemy.shield = enemy.shield || 0;
+        });
+        state.projectiles = (snapshot.projectiles || []).map(projectile => {
+          const target = snapshot.enemies[projectile.target];
+          return { ...projectile, target: state.enemies.includes(target) ? target : null };
+        });
+
+        state.started = true;
+        state.isOver = false;
+      }
+    };
+
+    // Event dispatch to subscribers
+    function emit(type, payload = {}) {
+      for (const handler of listeners[type] || []) {
+        handler(payload);
+      }
+    }
+
+    // Rejected player command notification
+    function reject(reason, x, y, details = {}) {
+      emit('actionRejected', { reason, x, y, ...details });
+      return null;
+    }
+
+    // Empty run tallies: score, kills and builds keyed by type, and gold from rewards and bonuses
+    function createRunStats() {
+      return { score: 0, kills: {}, towersBuilt: {}, goldEarned: 0 };
+    }
+
+    function countStat(counts, type) {
+      counts[type] = (counts[type] || 0) + 1;
+    }
+
+    // Tower construction from its type template
+    function createTower(x, y, towerType) {
+      const towerData = towerDefinitions[towerType];
+      const tower = {
+        x,
+        y,
+        type: towerType,
+        lastShot: 0,
+        target: null,
+        angle: 0, // Rotation control
+        level: 1, // Upgrade progression tier
+        targetingMode: towerData.defaultTargeting,
+        totalSpent: towerData.cost, // Investment ledger for sale refunds
+        ...towerData
+      };
+
+      // Initialize special capabilities without overwriting the tower type
+      if (towerData.special) {
+        const { type: specialType, ...specialParams } = towerData.special;
+        Object.assign(tower, specialParams);
+        tower.specialType = specialType;
+      }
+
+      return tower;
+    }
+
+    // Additive stat progression for a single upgrade tier
+    function applyUpgradeTier(tower, tier) {
+      tower.damage += tier.damage || 0;
+      tower.range += tier.range || 0;
+      tower.fireRate += tier.fireRate || 0;
+
+      if (tier.special) {
+        for (const [key, delta] of Object.entries(tier.special)) {
+          tower[key] = (tower[key] || 0) + delta;
+        }
+      }
+
+      tower.level++;
+    }
+
+    // Placed tower reconstruction from saved per-instance state
+    function restoreTower(saved) {
+      const tower = createTower(saved.x, saved.y, saved.type);
+      const upgrades = towerDefinitions[saved.type].upgrades || [];
+
+      // Re-derive upgraded stats from the current upgrade track
+      for (let i = 0; i < saved.level - 1 && i < upgrades.length; i++) {
+        applyUpgradeTier(tower, upgrades[i]);
+      }
+
+      if (targetingModes[saved.targetingMode]) {
+        tower.targetingMode = saved.targetingMode;
+      }
+      tower.totalSpent = saved.totalSpent;
+      tower.lastShot = saved.lastShot;
+      tower.angle = saved.angle;
+
+      return tower;
+    }
+
+    // Technology unlock tracking for the current wave
+    function refreshUnlocks(initial = false) {
+      for (const [towerType, towerData] of Object.entries(towerDefinitions)) {
+        if (state.wave >= towerData.unlockWave && !state.unlockedTowers.includes(towerType)) {
+          state.unlockedTowers.push(towerType);
+          emit('towerUnlocked', { towerType, initial });
+        }
+      }
+    }
+
+    // Game-time countdown scheduling
+    function startCountdown(type, seconds) {
+      state.countdown = {
+        type,
+        remaining: seconds,
+        nextTickAt: state.gameTime + 1000
+      };
+    }
+
+    // Countdown progression with phase transitions
+    function updateCountdown() {
+      const countdown = state.countdown;
+      if (!countdown || state.gameTime < countdown.nextTickAt) return;
+
+      countdown.remaining--;
+      countdown.nextTickAt += 1000;
+
+      if (countdown.type === 'preparation') {
+        state.preparationTimer = countdown.remaining;
+      }
+
+      emit('countdownTick', { type: countdown.type, remaining: countdown.remaining });
+
+      if (countdown.remaining <= 0) {
+        state.countdown = null;
+        finishCountdown(countdown.type);
+      }
+    }
+
+    // Phase transition at the end of a countdown, or when the player calls the wave early
+    function finishCountdown(type) {
+      if (type === 'preparation') {
+        state.preparationPhase = false;
+        state.preparationTimer = 0;
+        state.waveStarted = true; // Mark first wave as started
+      } else {
+        state.wave++; // Increment wave counter only here
+        state.waveCompleted = false;
+      }
+
+      startWave();
+    }
+
+    // Wave playback: scripted waves run verbatim, later waves fall back to the procedural generator
+    function startWave() {
+      calculateWaveDifficulty();
+      state.waveCompleted = false;
+
+      const script = waves[state.wave - 1];
+      const groups = script ? script.groups.map(scheduleGroup) : generateProceduralGroups();
+
+      // Enemy generation schedule replacing any previous wave
+      state.spawner = { groups };
+
+      const enemyCount = groups.reduce((sum, group) => sum + group.count, 0);
+      refreshUnlocks();
+      emit('waveStarted', { wave: state.wave, enemyCount, scripted: Boolean(script) });
+    }
+
+    // Scripted group to live spawn schedule
+    function scheduleGroup(group) {
+      return {
+        type: group.type,
+        count: group.count,
+        spawned: 0,
+        spacing: group.spacing,
+        nextSpawnAt: state.gameTime + group.delay,
+        route: group.path,
+        healthMultiplier: group.healthMultiplier,
+        rewardMultiplier: group.rewardMultiplier,
+        boss: group.boss
+      };
+    }
+
+    // Progressive wave generation with dynamic difficulty scaling; every fifth wave adds a boss group
+    function generateProceduralGroups() {
+      const baseEnemyCount = 8;
+      const enemyCount = Math.floor(baseEnemyCount * (1 + (state.wave - 1) * 0.2));
+
+      // Dynamic spawn interval with progressive acceleration
+      const baseInterval = 1200; // Base milliseconds between spawns
+      const intervalReduction = 50; // Reduction per wave
+      const minInterval = 300; // Minimum spawn interval
+      const spawnInterval = Math.max(minInterval, baseInterval - (state.wave - 1) * intervalReduction);
+
+      const escorts = {
+        type: null,             // Each enemy type is drawn from the wave's probability ladder
+        count: enemyCount,
+        spawned: 0,
+        spacing: spawnInterval,
+        nextSpawnAt: state.gameTime + spawnInterval,
+        route: null,            // Procedural waves let each enemy pick its route
+        healthMultiplier: state.difficultyFactor,
+        rewardMultiplier: 1 + (state.wave - 1) * 0.1,
+        boss: false
+      };
+      if (state.wave % 5 !== 0 || !enemyDefinitions.boss) return [escorts];
+
+      // Bosses march in halfway through their escort
+      const boss = {
+        ...escorts,
+        type: 'boss',
+        count: Math.ceil(state.wave / 10),
+        nextSpawnAt: escorts.nextSpawnAt + spawnInterval * Math.floor(enemyCount / 2),
+        spacing: spawnInterval * 4,
+        boss: true
+      };
+      return [escorts, boss];
+    }
+
+    // Enemy generation system driven by game time; groups spawn in script order within a tick
+    function updateSpawner() {
+      const spawner = state.spawner;
+      if (!spawner) return;
+
+      spawner.groups.forEach(group => {
+        while (group.spawned < group.count && state.gameTime >= group.nextSpawnAt) {
+          const enemyType = group.type || selectEnemyTypeForWave(state.wave);
+          spawnEnemy(enemyType, group);
+          group.spawned++;
+          group.nextSpawnAt += group.spacing;
+        }
+      });
+
+      if (spawner.groups.every(group => group.spawned >= group.count)) {
+        state.spawner = null;
+      }
+    }
+
+    // Weighted route selection; single-path maps leave the random stream untouched
+    function chooseRoute() {
+      if (paths.length === 1) return 0;
+
+      const totalWeight = pathWeights.reduce((sum, weight) => sum + weight, 0);
+      let roll = state.rng.next() * totalWeight;
+      for (let i = 0; i < paths.length; i++) {
+        roll -= pathWeights[i];
+        if (roll < 0) return i;
+      }
+      return paths.length - 1;
+    }
+
+    // Dynamic difficulty calculation system
+    function calculateWaveDifficulty() {
+      // Base difficulty curve with progressive scaling
+      state.difficultyFactor = 1.0 + (state.wave - 1) * 0.15;
+
+      // Logarithmic difficulty scaling for extended gameplay
+      if (state.wave > 10) {
+        state.difficultyFactor += Math.log10(state.wave - 9) * 0.5;
+      }
+
+      return state.difficultyFactor;
+    }
+
+    // Enemy type distribution system with progressive unlock
+    function selectEnemyTypeForWave(wave) {
+      // Random selection with wave-dependent probabilities
+      const rand = state.rng.next();
+
+      // Boss wave escorts on every 5th wave; the bosses themselves come as their own group
+      if (wave % 5 === 0) {
+        return rand < 0.6 ? 'strong' : 'fast';
+      }
+
+      // Progressive enemy introduction
+      if (wave <= 2) {
+        return 'basic';
+      } else if (wave <= 4) {
+        return rand < 0.7 ? 'basic' : 'fast';
+      } else if (wave <= 7) {
+        if (rand < 0.5) return 'basic';
+        else if (rand < 0.8) return 'fast';
+        else return 'strong';
+      } else {
+        if (rand < 0.25) return 'basic';
+        else if (rand < 0.5) return 'fast';
+        else if (rand < 0.65) return 'flyer';
+        else if (rand < 0.9) return 'strong';
+        else return 'boss';
+      }
+    }
+
+    // Enemy instantiation scaled by the spawning group's multipliers; origin places it mid-path
+    function spawnEnemy(type, group, origin = null) {
+      const enemyData = enemyDefinitions[type];
+
+      // Wave-dictated route (validated against the map up front), otherwise a weighted pick
+      const route = group.route !== null ? group.route : chooseRoute();
+      const path = paths[route];
+      const flying = Boolean(enemyData.flying);
+
+      const scaledHealth = Math.floor(enemyData.health * group.healthMultiplier * state.healthMultiplier);
+
+      const enemy = {
+        x: path[0].x,
+        y: path[0].y,
+        type,
+        health: scaledHealth,
+        maxHealth: scaledHealth,
+        speed: enemyData.speed,
+        armor: enemyData.armor || 0,
+        resistances: { ...enemyData.resistances },
+        reward: Math.ceil(enemyData.reward * group.rewardMultiplier * state.rewardMultiplier),
+        color: enemyData.color,
+        outlineColor: enemyData.outlineColor,
+        size: enemyData.size,
+        boss: group.boss || type === 'boss',
+        effects: [],            // Active status effects
+        flying,
+        flightCurve: flying ? enemyData.flightCurve || 0 : 0,
+        abilities: (enemyData.abilities || []).map(ability => ({
+          ...ability,
+          readyAt: state.gameTime + ability.cooldown
+        })),
+        shield: 0,              // Damage absorbed before health
+        shieldExpiresAt: 0,
+        route,
+        pathIndex: 0,
+        progress: 0,
+        ...origin
+      };
+
+      state.enemies.push(enemy);
+      emit('enemySpawned', { enemy });
+      return enemy;
+    }
+
+    // Wave progression detection and management with corrected state transitions
+    function checkWaveCompletion() {
+      if (!state.waveCompleted &&
+          state.enemies.length === 0 &&
+          state.spawner === null &&
+          state.waveStarted) {  // Only proceed if wave actually started
+
+        state.waveCompleted = true;
+
+        // Resource bonus with progressive scaling
+        const baseBonus = 20;
+        const waveBonus = Math.floor(baseBonus + state.wave * 5);
+
+        // Unspent gold earns capped interest, counted now and paid with the bonus
+        const interest = Math.min(state.interestCap, Math.floor(state.money * state.interestRate));
+
+        // Resource allocation one second after completion
+        state.pendingBonus = {
+          amount: waveBonus,
+          interest,
+          at: state.gameTime + 1000
+        };
+
+        // Wave transition countdown with explicit state increment
+        startCountdown('nextWave', nextWaveDelay);
+
+        // Clearing later waves is worth more
+        state.stats.score += state.wave * 100;
+
+        emit('waveCompleted', { wave: state.wave, bonus: waveBonus, interest });
+      }
+    }
+
+    // Deferred wave bonus payout
+    function updatePendingBonus() {
+      const bonus = state.pendingBonus;
+      if (!bonus || state.gameTime < bonus.at) return;
+
+      // Bonuses scheduled before banking carry no interest
+      const interest = bonus.interest || 0;
+      state.pendingBonus = null;
+      state.money += bonus.amount + interest;
+      state.stats.goldEarned += bonus.amount + interest;
+      emit('bonusAwarded', { amount: bonus.amount, interest });
+    }
+
+    // Enemy update system
+    function updateEnemies() {
+      for (let i = state.enemies.length - 1; i >= 0; i--) {
+        const enemy = state.enemies[i];
+
+        // Path navigation with parametric progression along the assigned route or flight line
+        const path = getEnemyPath(enemy);
+        const currentPathPoint = path[enemy.pathIndex];
+        const nextPathPoint = path[enemy.pathIndex + 1];
+
+        const dx = nextPathPoint.x - currentPathPoint.x;
+        const dy = nextPathPoint.y - currentPathPoint.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        enemy.progress += enemy.speed * getSpeedMultiplier(enemy);
+
+        if (enemy.progress >= distance) {
+          enemy.progress = 0;
+          enemy.pathIndex++;
+
+          // Endpoint detection; leaks cost lives and the run ends once they run out
+          if (enemy.pathIndex >= path.length - 1) {
+            const typeLifeCost = enemyDefinitions[enemy.type].lifeCost || 1;
+            const lifeCost = enemy.boss ? Math.max(typeLifeCost, bossLifeCost) : typeLifeCost;
+            const livesLost = Math.min(state.lives, lifeCost);
+            state.lives -= livesLost;
+            state.enemies.splice(i, 1);
+            emit('enemyBreached', { enemy, livesLost, livesLeft: state.lives });
+
+            if (state.lives <= 0) {
+              endGame('Enemy Breach Detected');
+              return;
+            }
+            continue;
+          }
+        }
+
+        // Position interpolation
+        const progressPercent = enemy.progress / distance;
+        enemy.x = currentPathPoint.x + dx * progressPercent;
+        enemy.y = currentPathPoint.y + dy * progressPercent;
+      }
+    }
+
+    // Waypoints an enemy moves along: its ground route, or the flight line across it
+    function getEnemyPath(enemy) {
+      if (!enemy.flying) return paths[enemy.route];
+
+      const key = `${enemy.route}:${enemy.flightCurve}`;
+      if (!flightPaths[key]) {
+        flightPaths[key] = createFlightPath(paths[enemy.route], enemy.flightCurve);
+      }
+      return flightPaths[key];
+    }
+
+    // Movement scaling from active status effects
+    function getSpeedMultiplier(enemy) {
+      let multiplier = 1;
+      for (const effect of enemy.effects) {
+        if (effect.type === 'stun') return 0;
+        if (effect.type === 'slow') multiplier *= Math.max(0, 1 - effect.magnitude);
+        if (effect.type === 'haste') multiplier *= 1 + effect.magnitude;
+      }
+      return multiplier;
+    }
+
+    // Cooldown-driven enemy abilities and shield expiry
+    function updateAbilities() {
+      for (const enemy of state.enemies.slice()) {
+        if (enemy.shield > 0 && state.gameTime >= enemy.shieldExpiresAt) {
+          enemy.shield = 0;
+        }
+
+        for (const ability of enemy.abilities) {
+          if (state.gameTime < ability.readyAt) continue;
+
+          ability.readyAt = state.gameTime + ability.cooldown;
+          useAbility(enemy, ability);
+        }
+      }
+    }
+
+    // Single ability activation
+    function useAbility(enemy, ability) {
+      switch (ability.type) {
+        case 'summon': {
+          const minions = [];
+          for (let i = 0; i < ability.count; i++) {
+            const minion = summonMinion(enemy, ability.minion);
+            if (minion) minions.push(minion);
+          }
+          emit('abilityUsed', { enemy, ability: ability.type, minions });
+          break;
+        }
+        case 'shield':
+          enemy.shield = Math.floor(enemy.maxHealth * ability.amount);
+          enemy.shieldExpiresAt = state.gameTime + ability.duration;
+          emit('abilityUsed', { enemy, ability: ability.type, shield: enemy.shield });
+          break;
+        case 'heal': {
+          const healed = [];
+          for (const ally of state.enemies) {
+            const distance = Math.sqrt((ally.x - enemy.x) ** 2 + (ally.y - enemy.y) ** 2);
+            if (distance > ability.radius || ally.health >= ally.maxHealth) continue;
+
+            const amount = Math.min(Math.floor(ally.maxHealth * ability.amount), ally.maxHealth - ally.health);
+            ally.health += amount;
+            healed.push({ enemy: ally, amount });
+          }
+          emit('abilityUsed', { enemy, ability: ability.type, radius: ability.radius, healed });
+          break;
+        }
+        case 'haste':
+          applyStatusEffect(enemy, 'haste', ability.magnitude, ability.duration);
+          emit('abilityUsed', { enemy, ability: ability.type });
+          break;
+      }
+    }
+
+    // Minion spawned at the summoner's position; summons are worth less than wave spawns
+    function summonMinion(summoner, type) {
+      return spawnFromEnemy(summoner, type, 0.5);
+    }
+
+    // Enemy spawned at another enemy's position, scaled like it against its base type
+    function spawnFromEnemy(source, type, rewardScale = 1) {
+      if (!enemyDefinitions[type]) return null;
+
+      // Same-layer spawns appear exactly where the source stands, at its path progress;
+      // spawns on another movement layer start from the entrance instead
+      const sameLayer = Boolean(enemyDefinitions[type].flying) === Boolean(source.flying);
+      const origin = sameLayer ? {
+        x: source.x,
+        y: source.y,
+        pathIndex: source.pathIndex,
+        progress: source.progress
+      } : null;
+
+      // Source scaling already includes the run's difficulty multipliers
+      const sourceData = enemyDefinitions[source.type];
+      const rewardRatio = sourceData.reward > 0 && state.rewardMultiplier > 0
+        ? source.reward / (sourceData.reward * state.rewardMultiplier)
+        : 1;
+      return spawnEnemy(type, {
+        route: source.route,
+        healthMultiplier: source.maxHealth / (sourceData.health * state.healthMultiplier),
+        rewardMultiplier: rewardRatio * rewardScale,
+        boss: false
+      }, origin);
+    }
+
+    // Status effect application following the effect's stacking rule
+    function applyStatusEffect(enemy, type, magnitude, duration) {
+      const definition = statusEffects[type];
+      if (!definition) return null;
+
+      const expiresAt = state.gameTime + duration;
+      const existing = enemy.effects.find(effect => effect.type === type);
+
+      if (existing) {
+        if (definition.stacking === 'ignore') return null;
+        if (definition.stacking === 'stack') {
+          existing.stacks = Math.min(existing.stacks + 1, definition.maxStacks);
+        }
+        existing.magnitude = Math.max(existing.magnitude, magnitude);
+        existing.expiresAt = Math.max(existing.expiresAt, expiresAt);
+        emit('statusApplied', { enemy, effect: existing, refreshed: true });
+        return existing;
+      }
+
+      const effect = { type, magnitude, stacks: 1, expiresAt };
+      if (definition.tickInterval) {
+        effect.nextTickAt = state.gameTime + definition.tickInterval;
+      }
+      enemy.effects.push(effect);
+      emit('statusApplied', { enemy, effect, refreshed: false });
+      return effect;
+    }
+
+    // Damage-over-time ticks and expiry for every enemy
+    function updateStatusEffects() {
+      for (const enemy of state.enemies.slice()) {
+        if (enemy.effects.length > 0) {
+          updateEnemyEffects(enemy);
+        }
+      }
+    }
+
+    // Single enemy's effects; stops as soon as a tick defeats the enemy
+    function updateEnemyEffects(enemy) {
+      for (const effect of enemy.effects.slice()) {
+        const definition = statusEffects[effect.type];
+
+        while (definition.tickInterval && effect.nextTickAt <= effect.expiresAt &&
+               state.gameTime >= effect.nextTickAt) {
+          effect.nextTickAt += definition.tickInterval;
+          damageEnemy(enemy, effect.magnitude * effect.stacks, { source: effect.type, effect });
+          if (!state.enemies.includes(enemy)) return;
+        }
+
+        if (state.gameTime >= effect.expiresAt) {
+          enemy.effects = enemy.effects.filter(active => active !== effect);
+          emit('statusExpired', { enemy, type: effect.type });
+        }
+      }
+    }
+
+    // Status effect payload carried by a tower's shots
+    function getShotEffect(tower) {
+      if (tower.specialType !== 'status') return null;
+
+      return {
+        type: tower.effect,
+        magnitude: tower.effectMagnitude,
+        duration: tower.effectDuration,
+        chance: tower.effectChance
+      };
+    }
+
+    // On-hit status application for enemies that survived the hit
+    function applyShotEffect(enemy, effect) {
+      if (!effect || !state.enemies.includes(enemy)) return;
+
+      // Guaranteed effects leave the random stream untouched
+      if (effect.chance < 1 && state.rng.next() >= effect.chance) return;
+
+      applyStatusEffect(enemy, effect.type, effect.magnitude, effect.duration);
+    }
+
+    // Run termination
+    function endGame(reason) {
+      state.isOver = true;
+      emit('gameOver', { reason, wave: state.wave });
+    }
+
+    // Tower targeting and firing system
+    function updateTowers(now) {
+      const fireRateMultiplier = simulation.isBuffActive('overdrive') ? playerAbilities.overdrive.fireRateMultiplier : 1;
+
+      for (const tower of state.towers) {
+        // Rate of fire management
+        if (now - tower.lastShot < 1000 / (tower.fireRate * fireRateMultiplier)) continue;
+
+        // Target acquisition according to the tower's priority mode
+        const targetEnemy = selectTarget(tower);
+
+        // Targeting and firing mechanics
+        if (targetEnemy) {
+          // Turret rotation calculation
+          const dx = targetEnemy.x - tower.x;
+          const dy = targetEnemy.y - tower.y;
+          tower.angle = Math.atan2(dy, dx);
+
+          tower.lastShot = now;
+          tower.target = targetEnemy;
+
+          // Type-specific attack handling
+          if (tower.type === 'sniper') {
+            // Direct hit system for sniper
+            emit('towerFired', { tower, target: targetEnemy, hitscan: true });
+
+            // Calculate critical hit
+            const isCritical = state.rng.next() < tower.criticalChance;
+            const damage = isCritical ? Math.floor(tower.damage * tower.criticalMultiplier) : tower.damage;
+
+            damageEnemy(targetEnemy, damage, {
+              source: 'laser',
+              damageType: tower.damageType,
+              critical: isCritical,
+              tower
+            });
+            applyShotEffect(targetEnemy, getShotEffect(tower));
+          } else {
+            // Projectile launch for other towers
+            const projectile = createProjectile(tower, targetEnemy);
+            emit('towerFired', { tower, target: targetEnemy, projectile });
+          }
+        }
+      }
+    }
+
+    // Priority-based target selection among enemies within range
+    function selectTarget(tower) {
+      let bestEnemy = null;
+      let bestScore = -Infinity;
+
+      for (const enemy of state.enemies) {
+        if (enemy.flying && !tower.antiAir) continue;
+
+        const distance = Math.sqrt((enemy.x - tower.x) ** 2 + (enemy.y - tower.y) ** 2);
+        if (distance >= tower.range) continue;
+
+        // Higher score wins for every mode
+        let score;
+        switch (tower.targetingMode) {
+          case 'last':
+            score = -simulation.getPathProgress(enemy);
+            break;
+          case 'strongest':
+            score = enemy.maxHealth + enemy.health / (enemy.maxHealth + 1);
+            break;
+          case 'weakest':
+            score = -enemy.health;
+            break;
+          case 'closest':
+            score = -distance;
+            break;
+          default:
+            score = simulation.getPathProgress(enemy);
+        }
+
+        if (score > bestScore) {
+          bestEnemy = enemy;
+          bestScore = score;
+        }
+      }
+
+      return bestEnemy;
+    }
+
+    // Projectile creation; bomber shells carry explosion parameters, status towers their effect
+    function createProjectile(tower, target) {
+      const angle = Math.atan2(target.y - tower.y, target.x - tower.x);
+      const isBomber = tower.type === 'bomber';
+
+      const projectile = {
+        x: tower.x + Math.cos(angle) * tower.barrelLength,
+        y: tower.y + Math.sin(angle) * tower.barrelLength,
+        targetX: target.x,
+        targetY: target.y,
+        target: target,
+        damage: tower.damage,
+        speed: isBomber ? 4 : 5,
+        color: tower.projectileColor,
+        size: tower.projectileSize,
+        type: tower.type,
+        damageType: tower.damageType,
+        effect: getShotEffect(tower)
+      };
+
+      if (isBomber) {
+        projectile.explosionRadius = tower.radius;
+        projectile.falloff = tower.falloff;
+      }
+
+      state.projectiles.push(projectile);
+      return projectile;
+    }
+
+    // Projectile physics and collision system
+    function updateProjectiles() {
+      for (let i = state.projectiles.length - 1; i >= 0; i--) {
+        const projectile = state.projectiles[i];
+
+        // Target tracking with dynamic position updates
+        if (projectile.target && state.enemies.includes(projectile.target)) {
+          projectile.targetX = projectile.target.x;
+          projectile.targetY = projectile.target.y;
+        }
+
+        // Trajectory calculation with normalized vectors
+        const dx = projectile.targetX - projectile.x;
+        const dy = projectile.targetY - projectile.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        // Collision detection with proximity threshold
+        if (distance < 5) {
+          // Hit registration with type-specific behavior
+          if (projectile.target && state.enemies.includes(projectile.target)) {
+            if (projectile.type === 'bomber') {
+              explodeProjectile(projectile);
+            } else {
+              damageEnemy(projectile.target, projectile.damage, {
+                source: 'projectile',
+                damageType: projectile.damageType,
+                projectile
+              });
+              applyShotEffect(projectile.target, projectile.effect);
+            }
+          }
+
+          // Remove projectile
+          state.projectiles.splice(i, 1);
+        } else {
+          // Projectile movement with acceleration curve
+          const speed = projectile.speed * (1 + 0.1 * (1 - distance / 300));
+          projectile.x += (dx / distance) * speed;
+          projectile.y += (dy / distance) * speed;
+        }
+      }
+    }
+
+    // Area damage resolution for bomber impacts
+    function explodeProjectile(projectile) {
+      emit('explosion', { x: projectile.targetX, y: projectile.targetY, radius: projectile.explosionRadius, projectile });
+
+      // Primary target damage; defeat is resolved after the splash
+      applyDamage(projectile.target, projectile.damage, {
+        source: 'explosion',
+        damageType: projectile.damageType,
+        projectile
+      });
+
+      // Area damage
+      for (const enemy of state.enemies) {
+        // Ground blasts never reach flyers overhead
+        if (enemy === projectile.target || enemy.flying) continue;
+
+        const explosionDx = enemy.x - projectile.targetX;
+        const explosionDy = enemy.y - projectile.targetY;
+        const explosionDistance = Math.sqrt(explosionDx * explosionDx + explosionDy * explosionDy);
+
+        if (explosionDistance <= projectile.explosionRadius) {
+          // Calculate damage falloff
+          const damagePercent = 1 - (explosionDistance / projectile.explosionRadius) * projectile.falloff;
+          const areaDamage = Math.floor(projectile.damage * damagePercent);
+
+          if (areaDamage > 0) {
+            damageEnemy(enemy, areaDamage, { source: 'splash', damageType: projectile.damageType, projectile });
+          }
+        }
+      }
+
+      // Check if primary target defeated
+      if (projectile.target.health <= 0) {
+        defeatEnemy(projectile.target, { source: 'explosion', damageType: projectile.damageType, projectile });
+      }
+      applyShotEffect(projectile.target, projectile.effect);
+    }
+
+    // Central health subtraction point for every damage source
+    function applyDamage(enemy, rawDamage, details) {
+      const mitigated = mitigateDamage(enemy, rawDamage, details.damageType);
+
+      // Shields soak damage before health
+      const absorbed = Math.min(enemy.shield || 0, mitigated);
+      if (absorbed > 0) {
+        enemy.shield -= absorbed;
+      }
+
+      const damage = mitigated - absorbed;
+      enemy.health -= damage;
+      emit('enemyDamaged', {
+        enemy,
+        damage,
+        rawDamage,
+        absorbed,
+        resisted: mitigated < rawDamage,
+        ...details
+      });
+    }
+
+    // Resistance then armor reduction; untyped damage (status ticks) lands in full
+    function mitigateDamage(enemy, rawDamage, damageType) {
+      const type = damageTypes[damageType];
+      if (!type || rawDamage <= 0) return rawDamage;
+
+      const resistance = (enemy.resistances && enemy.resistances[damageType]) || 0;
+      let damage = rawDamage * (1 - resistance);
+      if (!type.ignoresArmor) {
+        damage -= enemy.armor || 0;
+      }
+
+      // Every hit chips at least one point
+      return Math.max(1, Math.floor(damage));
+    }
+
+    // Damage application with immediate defeat detection
+    function damageEnemy(enemy, damage, details) {
+      applyDamage(enemy, damage, details);
+
+      if (enemy.health <= 0) {
+        defeatEnemy(enemy, details);
+      }
+    }
+
+    // Enemy defeat processing; details describe the killing blow as in enemyDamaged
+    function defeatEnemy(enemy, details = {}) {
+      if (!state.enemies.includes(enemy)) return;
+
+      const reward = simulation.isBuffActive('goldRush')
+        ? Math.round(enemy.reward * playerAbilities.goldRush.rewardMultiplier)
+        : enemy.reward;
+      state.money += reward;
+
+      // Tougher enemies score more, so difficulty scaling carries into the score
+      state.stats.score += Math.round(enemy.maxHealth);
+      state.stats.goldEarned += reward;
+      countStat(state.stats.kills, enemy.type);
+
+      // Remove enemy from active units
+      state.enemies = state.enemies.filter(e => e !== enemy);
+
+      emit('enemyDefeated', { enemy, reward, ...details });
+
+      // Children join the live enemy list, so the wave is not complete until they fall too
+      const split = enemyDefinitions[enemy.type].splitsInto;
+      if (split) {
+        const children = [];
+        for (let i = 0; i < split.count; i++) {
+          const rewardScale = split.rewardScale !== undefined ? split.rewardScale : 1;
+          const child = spawnFromEnemy(enemy, split.type, rewardScale);
+          if (child) children.push(child);
+        }
+        emit('enemySplit', { enemy, children });
+      }
+    }
+
+    return simulation;
+  }
+
+  return {
+    tickDuration,
+    towerTypes,
+    targetingModes,
+    damageTypes,
+    statusEffects,
+    playerAbilities,
+    enemyTypes,
+    difficultyModes,
+    builtInMaps,
+    defaultMap,
+    defaultWaves,
+    normalizeMap,
+    normalizeWaves,
+    resolveDifficulty,
+    createRandomGenerator,
+    generateSeed,
+    parseSeed,
+    createSimulation
+  };
+});
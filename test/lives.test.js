@@ -0,0 +1,31 @@
+// Headless rules checks for lives lost to leaks; run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, defaultMap, enemyTypes } = require('../src/simulation.js');
+
+// Undefended run over a single wave, returning every breach in order
+function runLeaks(groups) {
+  const simulation = createSimulation({ map: defaultMap, seed: 9, preparationTime: 1, startingLives: 50, waves: [{ groups }] });
+  const breaches = [];
+  simulation.on('enemyBreached', event => breaches.push(event));
+
+  simulation.start();
+  for (let tick = 0; tick < 20000 && !simulation.state.waveCompleted; tick++) simulation.step();
+  return breaches;
+}
+
+test('scripted bosses cost a boss\'s lives whatever their type', () => {
+  const breaches = runLeaks([{ type: 'fast', count: 1, boss: true }, { type: 'fast', count: 1, delay: 500 }]);
+
+  assert.strictEqual(breaches.length, 2);
+  assert.strictEqual(breaches[0].enemy.boss, true);
+  assert.strictEqual(breaches[0].livesLost, enemyTypes.boss.lifeCost);
+  assert.strictEqual(breaches[1].livesLost, 1);
+});
+
+test('enemies not flagged as bosses keep their type\'s life cost', () => {
+  const breaches = runLeaks([{ type: 'strong', count: 1 }]);
+
+  assert.strictEqual(breaches.length, 1);
+  assert.strictEqual(breaches[0].livesLost, enemyTypes.strong.lifeCost);
+});
@@ -0,0 +1,42 @@
+// Headless rules checks for enemies that split on death; run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, defaultMap } = require('../src/simulation.js');
+
+test('split children start at the parent\'s position and path progress', () => {
+  const simulation = createSimulation({
+    map: defaultMap,
+    seed: 3,
+    preparationTime: 1,
+    waves: [{ groups: [{ type: 'splitter', count: 1, healthMultiplier: 0.5 }] }]
+  });
+  const splits = [];
+  simulation.on('enemySplit', event => splits.push(event));
+
+  simulation.start();
+  while (simulation.state.enemies.length === 0) simulation.step();
+
+  // Past the first corner, just into a new segment
+  const parent = simulation.state.enemies[0];
+  while (parent.pathIndex < 1 || parent.progress < 1) simulation.step();
+  const death = { x: parent.x, y: parent.y, pathIndex: parent.pathIndex, progress: parent.progress };
+  assert.ok(simulation.castAbility('airstrike', parent.x, parent.y));
+
+  assert.strictEqual(splits.length, 1);
+  const children = splits[0].children;
+  assert.strictEqual(children.length, 3);
+  children.forEach(child => {
+    assert.deepStrictEqual(
+      { x: child.x, y: child.y, pathIndex: child.pathIndex, progress: child.progress },
+      death
+    );
+  });
+
+  // One tick of movement carries them forward from there, never back along the path
+  simulation.step();
+  children.forEach(child => {
+    assert.strictEqual(child.pathIndex, death.pathIndex);
+    assert.ok(child.progress > death.progress);
+    assert.ok(Math.hypot(child.x - death.x, child.y - death.y) <= child.progress - death.progress + 1e-9);
+  });
+});
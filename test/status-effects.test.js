@@ -0,0 +1,72 @@
+// Headless rules checks for damage-over-time status effects; run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, defaultMap, towerTypes } = require('../src/simulation.js');
+
+// One durable enemy on the default route with the venom tower available from the first wave
+function createPoisonRun() {
+  const simulation = createSimulation({
+    map: defaultMap,
+    seed: 7,
+    preparationTime: 1,
+    towerTypes: { ...towerTypes, venom: { ...towerTypes.venom, unlockWave: 1 } },
+    waves: [{ groups: [{ type: 'basic', count: 1, healthMultiplier: 40 }] }]
+  });
+  simulation.state.money = 10000;
+  return simulation;
+}
+
+// Free cell within reach of the route's opening segment
+function findSpotNearPath(simulation, range) {
+  const [start, next] = simulation.map.paths[0];
+  const target = { x: (start.x + next.x) / 2, y: (start.y + next.y) / 2 };
+  for (let x = 20; x < simulation.map.width; x += 20) {
+    for (let y = 20; y < simulation.map.height; y += 20) {
+      if (Math.hypot(x - target.x, y - target.y) < range && simulation.canPlaceTower(x, y)) {
+        return { x, y };
+      }
+    }
+  }
+  return null;
+}
+
+test('poison stacks with repeated hits and each tick deals damage per stack', () => {
+  const simulation = createPoisonRun();
+  const spot = findSpotNearPath(simulation, towerTypes.venom.range - 20);
+  assert.ok(spot, 'no placement spot near the path');
+  assert.ok(simulation.placeTower(spot.x, spot.y, 'venom'));
+
+  const ticks = [];
+  simulation.on('enemyDamaged', event => {
+    if (event.source === 'poison') {
+      ticks.push({ damage: event.damage, stacks: event.effect.stacks, magnitude: event.effect.magnitude });
+    }
+  });
+
+  simulation.start();
+  simulation.advance(600);
+
+  const stacked = ticks.filter(tick => tick.stacks > 1);
+  assert.ok(stacked.length > 0, 'poison never ticked with more than one stack');
+  stacked.forEach(tick => assert.strictEqual(tick.damage, tick.magnitude * tick.stacks));
+  assert.ok(ticks.every(tick => tick.stacks <= 5), 'poison exceeded its stack cap');
+});
+
+test('airstrike survivors burn for damage over time', () => {
+  const simulation = createPoisonRun();
+  const burns = [];
+  simulation.on('enemyDamaged', event => {
+    if (event.source === 'burn') burns.push(event.damage);
+  });
+
+  simulation.start();
+  while (simulation.state.enemies.length === 0) simulation.step();
+  const enemy = simulation.state.enemies[0];
+  assert.ok(simulation.castAbility('airstrike', enemy.x, enemy.y));
+  assert.ok(enemy.effects.some(effect => effect.type === 'burn'));
+
+  const healthAfterStrike = enemy.health;
+  simulation.advance(200);
+  assert.ok(burns.length > 0, 'burn never ticked');
+  assert.strictEqual(healthAfterStrike - enemy.health, burns.reduce((sum, damage) => sum + damage, 0));
+});
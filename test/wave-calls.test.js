@@ -0,0 +1,46 @@
+// Headless rules checks for calling waves early; run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSimulation, defaultMap } = require('../src/simulation.js');
+
+test('a call in the tick that clears the field still pays the completion bonus and interest', () => {
+  const simulation = createSimulation({
+    map: defaultMap,
+    seed: 11,
+    preparationTime: 1,
+    waves: [
+      { groups: [{ type: 'basic', count: 1, healthMultiplier: 0.05 }] },
+      { groups: [{ type: 'basic', count: 1 }] }
+    ]
+  });
+  const completed = [];
+  const called = [];
+  simulation.on('waveCompleted', event => completed.push(event));
+  simulation.on('waveCalled', event => called.push(event));
+
+  simulation.start();
+  while (simulation.state.enemies.length === 0) simulation.step();
+  while (simulation.state.spawner) simulation.step();
+
+  // The last enemy falls between ticks, so wave completion has not been checked yet
+  const enemy = simulation.state.enemies[0];
+  assert.ok(simulation.castAbility('airstrike', enemy.x, enemy.y));
+  assert.strictEqual(simulation.state.enemies.length, 0);
+  assert.strictEqual(simulation.state.waveCompleted, false);
+
+  const moneyBeforeCall = simulation.state.money;
+  const bonus = simulation.callNextWave();
+
+  assert.strictEqual(completed.length, 1);
+  assert.ok(completed[0].interest > 0);
+  assert.strictEqual(called.length, 1);
+  assert.strictEqual(called[0].duringWave, false);
+  assert.strictEqual(simulation.state.money, moneyBeforeCall + bonus);
+  assert.strictEqual(simulation.state.wave, 2);
+
+  // The completion bonus and its interest still arrive on schedule
+  const pending = simulation.state.pendingBonus;
+  assert.ok(pending && pending.interest === completed[0].interest);
+  simulation.advance(120);
+  assert.ok(simulation.state.money >= moneyBeforeCall + bonus + pending.amount + pending.interest);
+});